@@ -4,6 +4,9 @@ import Landing from './components/Landing';
 import SessionLobby from './components/SessionLobby';
 import MovieQuiz from './components/MovieQuiz';
 import Results from './components/Results';
+import ProfileView from './components/ProfileView';
+import CrewPage from './components/CrewPage';
+import CrewHistory from './components/CrewHistory';
 
 const socket = io(window.location.origin, {
   transports: ['websocket', 'polling'],
@@ -19,10 +22,21 @@ function App() {
   const [sessionData, setSessionData] = useState(null);
   const [participantName, setParticipantName] = useState('');
   const [isHost, setIsHost] = useState(false);
+  const [hostToken, setHostToken] = useState(null);
+  const [participantToken, setParticipantToken] = useState(null);
+  const [rejoinCode, setRejoinCode] = useState(null);
   const [results, setResults] = useState(null);
+  // Optional taste profile kept on this device: { id, key, name }
+  const [profile, setProfile] = useState(() => JSON.parse(localStorage.getItem('vibe_profile') || 'null'));
+  const [crewId, setCrewId] = useState(null);
 
   useEffect(() => {
     const path = window.location.pathname;
+    if (path.startsWith('/crew/')) {
+      const [id, page] = path.split('/crew/')[1].split('/');
+      setCrewId(id);
+      setView(page === 'history' ? 'crewHistory' : 'crew');
+    }
     if (path.startsWith('/session/')) {
       const id = path.split('/session/')[1];
       setSessionId(id);
@@ -33,7 +47,9 @@ function App() {
       // Restore session state from localStorage
       const storedName = localStorage.getItem(`vibe_participant_${id}`);
       const storedParticipantId = localStorage.getItem(`vibe_participantId_${id}`);
-      const storedIsHost = localStorage.getItem(`vibe_isHost_${id}`);
+      const storedHostToken = localStorage.getItem(`vibe_hostToken_${id}`);
+      const storedParticipantToken = localStorage.getItem(`vibe_participantToken_${id}`);
+      const storedRejoinCode = localStorage.getItem(`vibe_rejoinCode_${id}`);
 
       if (storedName) {
         setParticipantName(storedName);
@@ -41,9 +57,23 @@ function App() {
       if (storedParticipantId) {
         setParticipantId(storedParticipantId);
       }
-      if (storedIsHost === 'true') {
+      if (storedHostToken) {
+        setHostToken(storedHostToken);
         setIsHost(true);
       }
+      if (storedParticipantToken) {
+        setParticipantToken(storedParticipantToken);
+      }
+      if (storedRejoinCode) {
+        setRejoinCode(storedRejoinCode);
+      }
+
+      // Opened a personal rejoin link from another device
+      const code = new URLSearchParams(window.location.search).get('rejoin');
+      if (code) {
+        window.history.replaceState({}, '', `/session/${id}`);
+        reclaimSeat(id, code).catch(() => {});
+      }
 
       socket.on('connect', () => {
         socket.emit('join_session', id);
@@ -70,6 +100,44 @@ function App() {
         fetchSession(sessionId);
       });
 
+      socket.on('settings_updated', () => {
+        fetchSession(sessionId, false);
+      });
+
+      // Live quiz progress without refetching the whole session per vote
+      socket.on('vote_recorded', ({ participantId: votedId, progress }) => {
+        setSessionData(prev => prev && {
+          ...prev,
+          participants: prev.participants?.map(p => p.id === votedId ? { ...p, progress } : p)
+        });
+      });
+
+      // A regeneration keeps everyone on the results page while it runs
+      socket.on('results_generating', (data) => {
+        fetchSession(sessionId, !data?.regenerating);
+      });
+
+      socket.on('results_failed', () => {
+        fetchSession(sessionId);
+      });
+
+      // Streamed results: show the summary and picks as they arrive, then
+      // results_ready swaps in the validated version
+      socket.on('results_partial', (data) => {
+        if (data.results) {
+          setResults({ ...data.results, partial: true });
+          setView('results');
+        }
+      });
+
+      socket.on('final_vote_updated', ({ finalVote }) => {
+        setSessionData(prev => prev && { ...prev, finalVote });
+      });
+
+      socket.on('watched_updated', ({ watched }) => {
+        setSessionData(prev => prev && { ...prev, watched });
+      });
+
       socket.on('results_ready', (data) => {
         console.log('results_ready received:', data);
         if (data.results) {
@@ -83,20 +151,85 @@ function App() {
         socket.off('questions_ready');
         socket.off('participant_joined');
         socket.off('answer_submitted');
+        socket.off('settings_updated');
+        socket.off('vote_recorded');
+        socket.off('results_generating');
+        socket.off('results_failed');
+        socket.off('results_partial');
         socket.off('results_ready');
+        socket.off('final_vote_updated');
+        socket.off('watched_updated');
       };
     }
   }, [sessionId]);
 
+  // Host rights can be handed to someone else mid-session
+  useEffect(() => {
+    if (!sessionId) return;
+
+    socket.on('host_changed', async (data) => {
+      if (data.participantId === participantId) {
+        await claimHost(sessionId, participantId, participantToken);
+      } else {
+        localStorage.removeItem(`vibe_hostToken_${sessionId}`);
+        setHostToken(null);
+        setIsHost(false);
+      }
+      fetchSession(sessionId, false);
+    });
+
+    return () => {
+      socket.off('host_changed');
+    };
+  }, [sessionId, participantId, participantToken]);
+
+  // Headers identifying this participant
+  const participantHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-Participant-Id': participantId || '',
+    'X-Participant-Token': participantToken || ''
+  });
+
+  // Headers for host-only requests
+  const hostHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-Host-Token': hostToken || ''
+  });
+
+  // Collect the host token after being handed host rights
+  const claimHost = async (id, claimantId, claimantToken) => {
+    try {
+      const res = await fetch(`/api/session/${id}/host/claim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ participantId: claimantId, participantToken: claimantToken })
+      });
+      const claim = await res.json();
+      if (res.ok) {
+        localStorage.setItem(`vibe_hostToken_${id}`, claim.hostToken);
+        setHostToken(claim.hostToken);
+        setIsHost(true);
+      }
+    } catch (err) {
+      console.error('Failed to claim host:', err);
+    }
+  };
+
   const fetchSession = async (id, redirectOnComplete = true) => {
     try {
       const res = await fetch(`/api/session/${id}`);
       const data = await res.json();
       setSessionData(data);
+      // Made host while this device was away or offline, so the host_changed
+      // event was missed. Read from storage: state may not be restored yet.
+      const storedParticipantId = localStorage.getItem(`vibe_participantId_${id}`);
+      if (storedParticipantId && data.host_participant_id === storedParticipantId && !localStorage.getItem(`vibe_hostToken_${id}`)) {
+        claimHost(id, storedParticipantId, localStorage.getItem(`vibe_participantToken_${id}`));
+      }
       if (data.status === 'complete' && data.results && redirectOnComplete) {
         setResults(JSON.parse(data.results));
         setView('results');
-      } else if (data.status === 'collecting' && redirectOnComplete) {
+      } else if (['collecting', 'generating', 'failed'].includes(data.status) && redirectOnComplete) {
         // Session still in progress, go to lobby to wait
         setView('lobby');
       }
@@ -106,24 +239,103 @@ function App() {
     }
   };
 
-  const createSession = async (config) => {
+  // Headers linking requests to this device's taste profile, if there is one
+  const profileHeaders = (current = profile) => ({
+    'Content-Type': 'application/json',
+    ...(current && { 'X-Profile-Id': current.id, 'X-Profile-Key': current.key })
+  });
+
+  // Make a taste profile for this device, or reuse the one it already has
+  const ensureProfile = async (name) => {
+    if (profile) return profile;
+    const res = await fetch('/api/profile', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to create profile');
+    }
+    const created = { id: data.profileId, key: data.profileKey, name: data.name };
+    localStorage.setItem('vibe_profile', JSON.stringify(created));
+    setProfile(created);
+    return created;
+  };
+
+  const loadProfile = async () => {
+    const res = await fetch('/api/profile', { headers: profileHeaders() });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Could not load your profile');
+    }
+    return data;
+  };
+
+  const forgetProfileVote = async (movieId) => {
+    const res = await fetch(`/api/profile/votes/${movieId}`, { method: 'DELETE', headers: profileHeaders() });
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.error || 'Could not forget that vote');
+    }
+  };
+
+  const deleteProfile = async () => {
+    const res = await fetch('/api/profile', { method: 'DELETE', headers: profileHeaders() });
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.error || 'Could not delete your profile');
+    }
+    localStorage.removeItem('vibe_profile');
+    setProfile(null);
+    setView('landing');
+  };
+
+  // Start a recurring crew; its token (for editing the history) stays on this device
+  const createCrew = async (name) => {
+    const res = await fetch('/api/crews', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to create crew');
+    }
+    localStorage.setItem(`vibe_crewToken_${data.crew.id}`, data.crewToken);
+    return data.crew;
+  };
+
+  const createSession = async ({ rememberMe, crewName, ...config }) => {
     try {
+      const linked = rememberMe ? await ensureProfile(config.hostName) : profile;
+      if (crewName) {
+        config.crewId = (await createCrew(crewName)).id;
+      }
       const res = await fetch('/api/session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: profileHeaders(linked),
         body: JSON.stringify(config)
       });
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to create session');
+      }
       setSessionId(data.id);
       setParticipantId(data.participantId);
+      setParticipantToken(data.participantToken);
+      setRejoinCode(data.rejoinCode);
       setParticipantName(config.hostName);
+      setHostToken(data.hostToken);
       setIsHost(true);
       setView('lobby');
       window.history.pushState({}, '', `/session/${data.id}`);
       // Store all session state for refresh persistence
       localStorage.setItem(`vibe_participant_${data.id}`, config.hostName);
       localStorage.setItem(`vibe_participantId_${data.id}`, data.participantId);
-      localStorage.setItem(`vibe_isHost_${data.id}`, 'true');
+      localStorage.setItem(`vibe_hostToken_${data.id}`, data.hostToken);
+      localStorage.setItem(`vibe_participantToken_${data.id}`, data.participantToken);
+      localStorage.setItem(`vibe_rejoinCode_${data.id}`, data.rejoinCode);
       socket.emit('join_session', data.id);
       fetchSession(data.id);
       return data;
@@ -133,22 +345,29 @@ function App() {
     }
   };
 
-  const joinSession = async (id, name) => {
+  const joinSession = async (id, name, rememberMe = false) => {
     try {
+      const linked = rememberMe ? await ensureProfile(name) : profile;
       const res = await fetch(`/api/session/${id}/join`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: profileHeaders(linked),
         body: JSON.stringify({ name })
       });
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to join');
+      }
       setParticipantId(data.id);
+      setParticipantToken(data.participantToken);
+      setRejoinCode(data.rejoinCode);
       setParticipantName(name);
       setIsHost(false);
       setSessionData(data.session);
       // Store all session state for refresh persistence
       localStorage.setItem(`vibe_participant_${id}`, name);
       localStorage.setItem(`vibe_participantId_${id}`, data.id);
-      localStorage.setItem(`vibe_isHost_${id}`, 'false');
+      localStorage.setItem(`vibe_participantToken_${id}`, data.participantToken);
+      localStorage.setItem(`vibe_rejoinCode_${id}`, data.rejoinCode);
       socket.emit('join_session', id);
       return data;
     } catch (err) {
@@ -157,9 +376,45 @@ function App() {
     }
   };
 
-  const generateQuestions = async () => {
+  // Pick up an existing seat on this device (votes so far are restored by the quiz)
+  const reclaimSeat = async (id, code) => {
+    try {
+      const res = await fetch(`/api/session/${id}/reclaim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Could not rejoin');
+      }
+      setParticipantId(data.participantId);
+      setParticipantToken(data.participantToken);
+      setRejoinCode(data.rejoinCode);
+      setParticipantName(data.name);
+      setHostToken(data.hostToken);
+      setIsHost(Boolean(data.hostToken));
+      localStorage.setItem(`vibe_participant_${id}`, data.name);
+      localStorage.setItem(`vibe_participantId_${id}`, data.participantId);
+      localStorage.setItem(`vibe_participantToken_${id}`, data.participantToken);
+      localStorage.setItem(`vibe_rejoinCode_${id}`, data.rejoinCode);
+      if (data.hostToken) {
+        localStorage.setItem(`vibe_hostToken_${id}`, data.hostToken);
+      }
+      socket.emit('join_session', id);
+      return data;
+    } catch (err) {
+      console.error('Failed to rejoin session:', err);
+      throw err;
+    }
+  };
+
+  // source is { deckIds } or { theme }
+  const generateQuestions = async (source) => {
     const res = await fetch(`/api/session/${sessionId}/generate`, {
-      method: 'POST'
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify(source)
     });
     const data = await res.json();
     if (!res.ok) {
@@ -167,6 +422,64 @@ function App() {
     }
   };
 
+  const updateSettings = async (settings) => {
+    const res = await fetch(`/api/session/${sessionId}/settings`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify(settings)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to update settings');
+    }
+    fetchSession(sessionId, false);
+  };
+
+  const transferHost = async (newHostId) => {
+    const res = await fetch(`/api/session/${sessionId}/host`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify({ participantId: newHostId })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to hand off host');
+    }
+  };
+
+  const saveVote = async (movieId, vote) => {
+    const res = await fetch(`/api/session/${sessionId}/vote`, {
+      method: 'POST',
+      headers: participantHeaders(),
+      body: JSON.stringify({ participantId, movieId, vote })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to save vote');
+    }
+    return data;
+  };
+
+  // The cards to swipe on: the whole deck, or the ones dealt so far in adaptive mode
+  const loadCards = async () => {
+    const res = await fetch(`/api/session/${sessionId}/cards`, {
+      headers: participantHeaders()
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Could not load movies');
+    }
+    return data;
+  };
+
+  const loadAnswers = async () => {
+    const res = await fetch(`/api/session/${sessionId}/answers`, {
+      headers: participantHeaders()
+    });
+    const data = await res.json();
+    return res.ok ? data.answers : {};
+  };
+
   const submitQuiz = async (answers) => {
     try {
       // Ensure we're connected to socket room before submitting
@@ -174,10 +487,13 @@ function App() {
 
       const res = await fetch(`/api/session/${sessionId}/submit`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: participantHeaders(),
         body: JSON.stringify({ participantId, answers })
       });
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to submit');
+      }
       return data;
     } catch (err) {
       console.error('Failed to submit quiz:', err);
@@ -189,12 +505,21 @@ function App() {
     setView('landing');
     setSessionId(null);
     setParticipantId(null);
+    setParticipantToken(null);
+    setRejoinCode(null);
     setSessionData(null);
     setParticipantName('');
+    setIsHost(false);
+    setHostToken(null);
     setResults(null);
     window.history.pushState({}, '', '/');
   };
 
+  const openCrewPage = (page) => {
+    setView(page);
+    window.history.pushState({}, '', page === 'crewHistory' ? `/crew/${crewId}/history` : `/crew/${crewId}`);
+  };
+
   const startQuiz = () => {
     setView('quiz');
   };
@@ -202,22 +527,141 @@ function App() {
   const closeVoting = async () => {
     try {
       const res = await fetch(`/api/session/${sessionId}/close`, {
-        method: 'POST'
+        method: 'POST',
+        headers: hostHeaders()
       });
       const data = await res.json();
       if (!res.ok) {
         throw new Error(data.error || 'Failed to close voting');
       }
-      if (data.results) {
-        setResults(data.results);
-        setView('results');
-      }
+      // Results arrive over the socket once generation finishes
+      fetchSession(sessionId);
     } catch (err) {
       console.error('Failed to close voting:', err);
       throw err;
     }
   };
 
+  const retryResults = async () => {
+    const res = await fetch(`/api/session/${sessionId}/retry`, {
+      method: 'POST',
+      headers: hostHeaders()
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to retry');
+    }
+    fetchSession(sessionId);
+  };
+
+  const regenerateResults = async (feedback, constraints) => {
+    const res = await fetch(`/api/session/${sessionId}/regenerate`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify({ feedback, constraints })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to regenerate');
+    }
+  };
+
+  const startFinalVote = async (method) => {
+    const res = await fetch(`/api/session/${sessionId}/final-vote`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify({ method })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to start the vote');
+    }
+  };
+
+  const castBallot = async (ranking) => {
+    const res = await fetch(`/api/session/${sessionId}/final-vote/ballot`, {
+      method: 'POST',
+      headers: participantHeaders(),
+      body: JSON.stringify({ ranking })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to cast vote');
+    }
+  };
+
+  const closeFinalVote = async () => {
+    const res = await fetch(`/api/session/${sessionId}/final-vote/close`, {
+      method: 'POST',
+      headers: hostHeaders()
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to close the vote');
+    }
+  };
+
+  const markWatched = async (rank) => {
+    const res = await fetch(`/api/session/${sessionId}/watched`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify({ rank })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to save what you watched');
+    }
+  };
+
+  const rateWatched = async (ratings) => {
+    const res = await fetch(`/api/session/${sessionId}/watched/ratings`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify({ ratings })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to save ratings');
+    }
+  };
+
+  // Keep the results around for longer than the usual cleanup (or stop keeping them)
+  const pinResults = async (pinned) => {
+    const res = await fetch(`/api/session/${sessionId}/pin`, {
+      method: 'POST',
+      headers: hostHeaders(),
+      body: JSON.stringify({ pinned })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to pin results');
+    }
+  };
+
+  // "How was it?" - this participant's own rating of the watched movie
+  const rateMine = async (rating) => {
+    const res = await fetch(`/api/session/${sessionId}/watched/rating`, {
+      method: 'POST',
+      headers: participantHeaders(),
+      body: JSON.stringify({ rating })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to save your rating');
+    }
+  };
+
+  const clearWatched = async () => {
+    const res = await fetch(`/api/session/${sessionId}/watched`, {
+      method: 'DELETE',
+      headers: hostHeaders()
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to undo');
+    }
+  };
+
   switch (view) {
     case 'lobby':
       return (
@@ -226,16 +670,26 @@ function App() {
           participantId={participantId}
           participantName={participantName}
           isHost={isHost}
+          rejoinCode={rejoinCode}
+          profile={profile}
           onJoin={joinSession}
+          onReclaim={(code) => reclaimSeat(sessionId, code)}
           onGenerate={generateQuestions}
           onStartQuiz={startQuiz}
           onViewResults={() => setView('results')}
           onCloseVoting={closeVoting}
+          onRetryResults={retryResults}
+          onUpdateSettings={updateSettings}
+          onTransferHost={transferHost}
         />
       );
     case 'quiz':
       return (
         <MovieQuiz
+          sessionId={sessionId}
+          onVote={saveVote}
+          onLoadCards={loadCards}
+          onLoadAnswers={loadAnswers}
           onSubmit={submitQuiz}
           onComplete={() => fetchSession(sessionId)}
           onBack={() => setView('lobby')}
@@ -244,14 +698,47 @@ function App() {
     case 'results':
       return (
         <Results
+          sessionId={sessionId}
           sessionData={sessionData}
           results={results}
+          participantId={participantId}
           participantName={participantName}
+          isHost={isHost && !sessionData?.archived}
+          onRegenerate={regenerateResults}
+          onStartFinalVote={startFinalVote}
+          onCastBallot={castBallot}
+          onCloseFinalVote={closeFinalVote}
+          onMarkWatched={markWatched}
+          onRateWatched={rateWatched}
+          onClearWatched={clearWatched}
+          onRateMine={rateMine}
+          onPin={pinResults}
           onNewSession={goHome}
         />
       );
+    case 'profile':
+      return (
+        <ProfileView
+          onLoad={loadProfile}
+          onForgetVote={forgetProfileVote}
+          onDelete={deleteProfile}
+          onBack={() => setView('landing')}
+        />
+      );
+    case 'crew':
+      return (
+        <CrewPage
+          crewId={crewId}
+          profile={profile}
+          onStart={(hostName) => createSession({ hostName, crewId })}
+          onViewHistory={() => openCrewPage('crewHistory')}
+          onBack={goHome}
+        />
+      );
+    case 'crewHistory':
+      return <CrewHistory crewId={crewId} onBack={() => openCrewPage('crew')} />;
     default:
-      return <Landing onCreate={createSession} />;
+      return <Landing profile={profile} onCreate={createSession} onViewProfile={() => setView('profile')} />;
   }
 }
 
@@ -0,0 +1,123 @@
+import React from 'react';
+
+const RUNTIMES = [90, 100, 120, 150];
+const CERTIFICATIONS = ['G', 'PG', 'PG-13', 'R'];
+export const LANGUAGES = {
+  en: 'english',
+  fr: 'french',
+  es: 'spanish',
+  de: 'german',
+  it: 'italian',
+  ja: 'japanese',
+  ko: 'korean',
+  zh: 'chinese',
+  hi: 'hindi',
+  pt: 'portuguese'
+};
+export const GENRES = [
+  'Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family', 'Fantasy',
+  'History', 'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction', 'Thriller', 'War', 'Western'
+];
+
+// One-line summary of a session's constraints, e.g. "under 2h · PG-13 or milder"
+export function summarizeConstraints(constraints = {}) {
+  const parts = [];
+  if (constraints.maxRuntime) parts.push(`under ${constraints.maxRuntime} min`);
+  if (constraints.maxCertification) parts.push(`${constraints.maxCertification} or milder`);
+  if (constraints.minYear || constraints.maxYear) {
+    parts.push(`${constraints.minYear || 'any'}–${constraints.maxYear || 'now'}`);
+  }
+  if (constraints.language) parts.push(LANGUAGES[constraints.language] || constraints.language);
+  if (constraints.excludeGenres?.length) parts.push(`no ${constraints.excludeGenres.join(', ').toLowerCase()}`);
+  return parts.join(' · ');
+}
+
+const selectClass = 'flex-1 bg-vt-black border border-vt-darkgray py-2 px-2 text-sm text-vt-light';
+const yearClass = 'w-full bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors';
+
+// Host-set watch limits: runtime, rating, era, language and genres to skip
+function ConstraintsForm({ value = {}, onChange }) {
+  const set = (key, next) => {
+    const updated = { ...value, [key]: next };
+    if (next === '' || next === null || (Array.isArray(next) && next.length === 0)) delete updated[key];
+    onChange(updated);
+  };
+
+  const setYear = (key, text) => set(key, text === '' ? '' : parseInt(text) || '');
+
+  const toggleGenre = (genre) => {
+    const current = value.excludeGenres || [];
+    set('excludeGenres', current.includes(genre) ? current.filter(g => g !== genre) : [...current, genre]);
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex gap-3">
+        <select
+          value={value.maxRuntime || ''}
+          onChange={(e) => set('maxRuntime', e.target.value ? Number(e.target.value) : '')}
+          className={selectClass}
+        >
+          <option value="">any length</option>
+          {RUNTIMES.map(m => <option key={m} value={m}>under {m} min</option>)}
+        </select>
+        <select
+          value={value.maxCertification || ''}
+          onChange={(e) => set('maxCertification', e.target.value)}
+          className={selectClass}
+        >
+          <option value="">any rating</option>
+          {CERTIFICATIONS.map(c => <option key={c} value={c}>{c} or milder</option>)}
+        </select>
+      </div>
+
+      <div className="flex gap-3 items-center">
+        <input
+          type="number"
+          placeholder="from year"
+          value={value.minYear || ''}
+          onChange={(e) => setYear('minYear', e.target.value)}
+          className={yearClass}
+        />
+        <input
+          type="number"
+          placeholder="to year"
+          value={value.maxYear || ''}
+          onChange={(e) => setYear('maxYear', e.target.value)}
+          className={yearClass}
+        />
+        <select
+          value={value.language || ''}
+          onChange={(e) => set('language', e.target.value)}
+          className={selectClass}
+        >
+          <option value="">any language</option>
+          {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+        </select>
+      </div>
+
+      <div>
+        <p className="text-vt-gray text-xs mb-2">skip genres</p>
+        <div className="flex flex-wrap gap-2">
+          {GENRES.map(genre => {
+            const excluded = value.excludeGenres?.includes(genre);
+            return (
+              <button
+                key={genre}
+                type="button"
+                onClick={() => toggleGenre(genre)}
+                className={`py-1 px-2 text-xs border transition-all ${
+                  excluded ? 'border-vt-white text-vt-white line-through' : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+                }`}
+              >
+                {genre.toLowerCase()}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConstraintsForm;
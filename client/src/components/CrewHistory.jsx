@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+
+const OUTCOME_STYLES = {
+  hit: 'text-green-500',
+  okay: 'text-vt-light',
+  miss: 'text-red-400'
+};
+
+function percent(rate) {
+  return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="result-card flex-1 text-center">
+      <p className="text-vt-white text-lg">{value}</p>
+      <span className="text-vt-gray text-xs">{label}</span>
+    </div>
+  );
+}
+
+// Every movie night a crew has logged, and how often the picks landed
+function CrewHistory({ crewId, onBack }) {
+  const [crew, setCrew] = useState(null);
+  const [error, setError] = useState(null);
+  const crewToken = localStorage.getItem(`vibe_crewToken_${crewId}`);
+
+  const load = async () => {
+    try {
+      const res = await fetch(`/api/crews/${crewId}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Crew not found');
+      }
+      setCrew(data);
+    } catch (err) {
+      setError(err.message || 'Could not load the crew');
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [crewId]);
+
+  const handleRemove = async (watchId) => {
+    try {
+      const res = await fetch(`/api/crews/${crewId}/history/${watchId}`, {
+        method: 'DELETE',
+        headers: { 'X-Crew-Token': crewToken }
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Could not remove that movie');
+      }
+      // Stats change with the history, so fetch both again
+      load();
+    } catch (err) {
+      setError(err.message || 'Could not remove that movie');
+    }
+  };
+
+  const stats = crew?.stats;
+
+  return (
+    <div className="min-h-screen bg-vt-black flex flex-col px-6 py-8">
+      <div className="flex justify-between items-start mb-8">
+        <div>
+          <span className="text-vt-gray text-xs uppercase tracking-wider">movie nights</span>
+          <h1 className="text-xl text-vt-white mt-1">{crew?.name || '...'}</h1>
+        </div>
+        <button onClick={onBack} className="text-vt-gray text-xs hover:text-vt-white">back</button>
+      </div>
+
+      {stats && (
+        <>
+          <div className="flex gap-3 mb-3">
+            <Stat label="hit rate" value={percent(stats.hitRate)} />
+            <Stat label="avg rating" value={stats.averageRating === null ? '–' : `${stats.averageRating}/5`} />
+            <Stat label="watched" value={stats.watched} />
+          </div>
+          {stats.rated > 0 && (
+            <p className="text-vt-gray text-xs mb-8">
+              {stats.hits} hit{stats.hits === 1 ? '' : 's'} and {stats.misses} miss{stats.misses === 1 ? '' : 'es'} from {stats.rated} rated
+              · top pick {percent(stats.topPick.hitRate)} ({stats.topPick.rated})
+              · further down the list {percent(stats.otherPicks.hitRate)} ({stats.otherPicks.rated})
+            </p>
+          )}
+
+          {stats.genres.length > 0 && (
+            <>
+              <h2 className="text-vt-white text-sm mb-3">by genre</h2>
+              <div className="flex flex-col gap-1 mb-8">
+                {stats.genres.map(g => (
+                  <div key={g.genre} className="flex items-center gap-3 text-xs">
+                    <span className="flex-1 text-vt-light">{g.genre.toLowerCase()}</span>
+                    <span className="text-vt-gray">{g.watched} watched</span>
+                    <span className="text-vt-white w-10 text-right">{g.averageRating}/5</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          <h2 className="text-vt-white text-sm mb-3">history</h2>
+          {crew.history.length === 0 ? (
+            <p className="text-vt-gray text-xs">nothing yet. mark what you watched on the results page and it shows up here.</p>
+          ) : (
+            <div className="flex flex-col gap-2">
+              {crew.history.map(w => (
+                <div key={w.id} className="flex items-center gap-3 text-xs">
+                  <span className="flex-1 text-vt-light">
+                    {w.title}{w.year && <span className="text-vt-gray"> {w.year}</span>}
+                    {w.rank && <span className="text-vt-gray"> · #{w.rank} pick</span>}
+                  </span>
+                  <span className="text-vt-gray">{w.averageRating === null ? 'not rated' : `${w.averageRating}/5`}</span>
+                  {w.outcome && <span className={OUTCOME_STYLES[w.outcome]}>{w.outcome}</span>}
+                  {crewToken && (
+                    <button onClick={() => handleRemove(w.id)} className="text-vt-gray hover:text-vt-white">
+                      remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-red-400 text-sm text-center mt-4">{error}</p>}
+    </div>
+  );
+}
+
+export default CrewHistory;
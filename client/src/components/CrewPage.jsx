@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+
+const RECENT_NIGHTS = 3;
+
+// A crew's stable link: start this week's session and look back at what the
+// group has watched before
+function CrewPage({ crewId, profile, onStart, onViewHistory, onBack }) {
+  const [crew, setCrew] = useState(null);
+  const [name, setName] = useState(profile?.name || '');
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`/api/crews/${crewId}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Crew not found');
+        setCrew(data);
+      })
+      .catch(err => setError(err.message || 'Could not load the crew'));
+  }, [crewId]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setLoading(true);
+    setError(null);
+    try {
+      await onStart(name.trim());
+    } catch (err) {
+      setError(err.message || 'Could not start the session');
+      setLoading(false);
+    }
+  };
+
+  const live = crew?.sessions.filter(s => s.status !== 'complete') || [];
+
+  return (
+    <div className="min-h-screen bg-vt-black flex flex-col px-6 py-8">
+      <div className="flex justify-between items-start mb-8">
+        <div>
+          <span className="text-vt-gray text-xs uppercase tracking-wider">crew</span>
+          <h1 className="text-xl text-vt-white mt-1">{crew?.name || '...'}</h1>
+        </div>
+        <div className="flex gap-4">
+          <button onClick={copyLink} className="text-vt-gray text-xs hover:text-vt-white">
+            {copied ? 'copied' : 'share'}
+          </button>
+          <button onClick={onBack} className="text-vt-gray text-xs hover:text-vt-white">home</button>
+        </div>
+      </div>
+
+      {crew && (
+        <>
+          <form onSubmit={handleStart} className="flex flex-col gap-4 mb-8">
+            <input
+              type="text"
+              placeholder="your name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full bg-transparent border-b border-vt-darkgray py-3 text-lg text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+              autoComplete="off"
+            />
+            <button
+              type="submit"
+              disabled={name.trim().length === 0 || loading}
+              className="py-4 bg-vt-white text-vt-black font-medium disabled:opacity-30 disabled:cursor-not-allowed transition-opacity"
+            >
+              {loading ? 'creating...' : 'start movie night'}
+            </button>
+          </form>
+
+          {live.length > 0 && (
+            <div className="flex flex-col gap-2 mb-8">
+              <h2 className="text-vt-white text-sm mb-1">happening now</h2>
+              {live.map(s => (
+                <a key={s.id} href={`/session/${s.id}`} className="text-vt-light text-sm hover:text-vt-white">
+                  {s.host_name}'s session · {s.status === 'lobby' ? 'waiting' : 'in progress'}
+                </a>
+              ))}
+            </div>
+          )}
+
+          <h2 className="text-vt-white text-sm mb-3">watched together</h2>
+          {crew.history.length === 0 ? (
+            <p className="text-vt-gray text-xs">nothing yet. mark what you watched on the results page and it shows up here.</p>
+          ) : (
+            <>
+              {crew.stats.rated > 0 && (
+                <p className="text-vt-gray text-xs mb-3">
+                  {Math.round(crew.stats.hitRate * 100)}% of picks were hits · average {crew.stats.averageRating}/5
+                </p>
+              )}
+              <div className="flex flex-col gap-2 mb-3">
+                {crew.history.slice(0, RECENT_NIGHTS).map(w => (
+                  <div key={w.id} className="flex items-center gap-3 text-xs">
+                    <span className="flex-1 text-vt-light">{w.title}{w.year && <span className="text-vt-gray"> {w.year}</span>}</span>
+                    <span className="text-vt-gray">{w.averageRating === null ? 'not rated' : `${w.averageRating}/5`}</span>
+                  </div>
+                ))}
+              </div>
+              <button onClick={onViewHistory} className="text-vt-gray text-xs text-left hover:text-vt-white">
+                all movie nights and stats
+              </button>
+            </>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-red-400 text-sm text-center mt-4">{error}</p>}
+    </div>
+  );
+}
+
+export default CrewPage;
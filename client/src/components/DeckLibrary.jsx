@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+
+const deckTokenKey = (id) => `vibe_deckToken_${id}`;
+
+// "Title (Year)" per line, or a bare number for a TMDB id
+function parseMovieList(text) {
+  const movieIds = [];
+  const titles = [];
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    if (/^\d+$/.test(line)) movieIds.push(Number(line));
+    else titles.push(line);
+  }
+  return { movieIds, titles };
+}
+
+const inputClass = 'w-full bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors';
+
+// Make, import, export and delete decks. Edit tokens live in localStorage,
+// so people can only delete the decks they made on this device.
+function DeckLibrary({ decks, onChanged }) {
+  const [name, setName] = useState('');
+  const [movieText, setMovieText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const saveDeck = async (url, body) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to save deck');
+      }
+      localStorage.setItem(deckTokenKey(data.deck.id), data.deckToken);
+      if (data.unresolved.length > 0) {
+        setNotice(`couldn't find: ${data.unresolved.join(', ')}`);
+      }
+      onChanged(data.deck);
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to save deck');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const saved = await saveDeck('/api/decks', { name: name.trim(), ...parseMovieList(movieText) });
+    if (saved) {
+      setName('');
+      setMovieText('');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      await saveDeck('/api/decks/import', JSON.parse(await file.text()));
+    } catch (err) {
+      setError('That file isn\'t valid JSON');
+    }
+  };
+
+  const handleDelete = async (deck) => {
+    if (!window.confirm(`delete "${deck.name}"?`)) return;
+    setError(null);
+    const res = await fetch(`/api/decks/${deck.id}`, {
+      method: 'DELETE',
+      headers: { 'X-Deck-Token': localStorage.getItem(deckTokenKey(deck.id)) }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      setError(data.error || 'Failed to delete deck');
+      return;
+    }
+    localStorage.removeItem(deckTokenKey(deck.id));
+    onChanged(null);
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex flex-col gap-2">
+        {decks.map(deck => (
+          <div key={deck.id} className="flex items-center gap-3 text-xs">
+            <span className="flex-1 text-vt-light">{deck.name}</span>
+            <span className="text-vt-gray">{deck.size} movies</span>
+            <a href={`/api/decks/${deck.id}/export`} className="text-vt-gray hover:text-vt-white">export</a>
+            {localStorage.getItem(deckTokenKey(deck.id)) && (
+              <button onClick={() => handleDelete(deck)} className="text-vt-gray hover:text-vt-white">
+                delete
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleCreate} className="flex flex-col gap-3">
+        <input
+          type="text"
+          placeholder="deck name, e.g. studio ghibli night"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={inputClass}
+          maxLength={60}
+          autoComplete="off"
+        />
+        <textarea
+          placeholder={'one movie per line: "spirited away (2001)" or a tmdb id'}
+          value={movieText}
+          onChange={(e) => setMovieText(e.target.value)}
+          rows={5}
+          className={`${inputClass} resize-none`}
+        />
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            disabled={busy || !name.trim() || !movieText.trim()}
+            className="flex-1 py-2 bg-vt-white text-vt-black text-sm font-medium disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            {busy ? 'finding movies...' : 'create deck'}
+          </button>
+          <label className={`flex-1 py-2 border border-vt-darkgray text-vt-gray text-sm text-center cursor-pointer hover:text-vt-white ${busy ? 'opacity-30 pointer-events-none' : ''}`}>
+            import json
+            <input type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+      </form>
+
+      {notice && <p className="text-vt-gray text-xs">{notice}</p>}
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+    </div>
+  );
+}
+
+export default DeckLibrary;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import DeckLibrary from './DeckLibrary';
+import ThemedDeckForm from './ThemedDeckForm';
+
+const MAX_MIXED_DECKS = 5;
+
+// Host picks which deck (or mix of decks) the quiz draws from, or describes a
+// themed deck for the server to build (theme is null for library decks)
+function DeckPicker({ value, onChange, theme, onThemeChange, constraints }) {
+  const [decks, setDecks] = useState([]);
+  const [showLibrary, setShowLibrary] = useState(false);
+
+  const loadDecks = async () => {
+    try {
+      const res = await fetch('/api/decks');
+      const data = await res.json();
+      if (res.ok) setDecks(data.decks);
+    } catch (err) {
+      console.error('Failed to load decks:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadDecks();
+  }, []);
+
+  // Drop selections for decks that no longer exist
+  useEffect(() => {
+    if (decks.length === 0) return;
+    const kept = value.filter(id => decks.some(d => d.id === id));
+    if (kept.length !== value.length) onChange(kept.length ? kept : [decks[0].id]);
+  }, [decks]);
+
+  const toggle = (id) => {
+    if (value.includes(id)) {
+      if (value.length > 1) onChange(value.filter(d => d !== id));
+    } else if (value.length < MAX_MIXED_DECKS) {
+      onChange([...value, id]);
+    }
+  };
+
+  // A freshly made deck gets picked straight away
+  const handleChanged = async (created) => {
+    await loadDecks();
+    if (created && !value.includes(created.id) && value.length < MAX_MIXED_DECKS) {
+      onChange([...value, created.id]);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <span className="text-vt-gray text-xs">
+          {theme ? 'themed deck' : value.length > 1 ? 'mixing decks' : 'deck'}
+        </span>
+        <div className="flex gap-4">
+          <button
+            onClick={() => onThemeChange(theme ? null : {})}
+            className="text-vt-gray text-xs hover:text-vt-white"
+          >
+            {theme ? 'use the library' : 'build a themed deck'}
+          </button>
+          {!theme && (
+            <button
+              onClick={() => setShowLibrary(!showLibrary)}
+              className="text-vt-gray text-xs hover:text-vt-white"
+            >
+              {showLibrary ? 'done' : 'manage decks'}
+            </button>
+          )}
+        </div>
+      </div>
+      {theme && <ThemedDeckForm value={theme} constraints={constraints} onChange={onThemeChange} />}
+      {!theme && <div className="flex flex-wrap gap-2">
+        {decks.map(deck => (
+          <button
+            key={deck.id}
+            type="button"
+            onClick={() => toggle(deck.id)}
+            title={deck.description || undefined}
+            className={`py-1 px-2 text-xs border transition-all ${
+              value.includes(deck.id)
+                ? 'border-vt-white text-vt-white'
+                : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+            }`}
+          >
+            {deck.name} · {deck.size}
+          </button>
+        ))}
+      </div>}
+      {!theme && showLibrary && <DeckLibrary decks={decks} onChanged={handleChanged} />}
+    </div>
+  );
+}
+
+export default DeckPicker;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+
+const METHODS = {
+  approval: { label: 'approval', hint: 'pick every movie you\'d happily watch' },
+  borda: { label: 'ranked points', hint: 'rank them, higher picks earn more points' },
+  instant_runoff: { label: 'instant runoff', hint: 'rank them, last place drops out each round' }
+};
+
+const TIE_BREAKS = {
+  first_choices: 'tie broken by most first choices',
+  ai_rank: 'tie broken by the original ranking'
+};
+
+// Second round after results: everyone votes on the shortlist
+function FinalVote({ finalVote, participantId, isHost, participantCount, onStart, onCastBallot, onClose }) {
+  const [method, setMethod] = useState('approval');
+  const [ranking, setRanking] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fresh ballot for each new round
+  useEffect(() => {
+    setRanking([]);
+  }, [finalVote?.status, finalVote?.method]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (key) => {
+    setRanking(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const isOpen = finalVote?.status === 'open';
+  const ranked = isOpen && finalVote.method !== 'approval';
+  const hasVoted = finalVote?.voters?.includes(participantId);
+  const titleFor = (key) => finalVote?.candidates.find(c => c.key === key)?.title;
+
+  if (!isOpen && !isHost && !finalVote?.outcome) return null;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-vt-white text-sm mb-3">final vote</h2>
+
+      {isOpen && (
+        <>
+          <p className="text-vt-gray text-xs mb-3">
+            {METHODS[finalVote.method].hint} · {finalVote.voters.length}/{participantCount} voted
+          </p>
+          <div className="flex flex-col gap-2 mb-3">
+            {finalVote.candidates.map((c) => {
+              const position = ranking.indexOf(c.key);
+              const picked = position !== -1;
+              return (
+                <button
+                  key={c.key}
+                  onClick={() => toggle(c.key)}
+                  className={`result-card flex items-center gap-3 text-left border transition-all ${
+                    picked ? 'border-vt-white' : 'border-transparent'
+                  }`}
+                >
+                  <span className="w-6 text-center text-vt-white text-sm">
+                    {picked ? (ranked ? position + 1 : '✓') : ''}
+                  </span>
+                  <span className="flex-1 text-vt-light">{c.title}</span>
+                  {c.year && <span className="text-vt-gray text-xs">{c.year}</span>}
+                </button>
+              );
+            })}
+          </div>
+          <button
+            onClick={() => run(() => onCastBallot(ranking))}
+            disabled={busy || ranking.length === 0}
+            className="w-full py-3 bg-vt-white text-vt-black font-medium disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            {hasVoted ? 'update my vote' : 'cast my vote'}
+          </button>
+          {isHost && (
+            <button
+              onClick={() => run(onClose)}
+              disabled={busy}
+              className="w-full mt-3 py-3 border border-vt-darkgray text-vt-white disabled:opacity-30"
+            >
+              close vote now
+            </button>
+          )}
+        </>
+      )}
+
+      {!isOpen && finalVote?.outcome && (
+        <div className="flex flex-col gap-1 mb-4">
+          <p className="text-vt-gray text-xs mb-1">
+            {METHODS[finalVote.outcome.method].label} · {finalVote.outcome.ballots} ballot{finalVote.outcome.ballots === 1 ? '' : 's'}
+            {finalVote.outcome.tie_break && ` · ${TIE_BREAKS[finalVote.outcome.tie_break]}`}
+          </p>
+          {finalVote.outcome.tallies.map((t) => (
+            <p key={t.key} className="text-xs flex justify-between">
+              <span className={t.key === finalVote.outcome.winner ? 'text-vt-white' : 'text-vt-gray'}>{titleFor(t.key)}</span>
+              <span className="text-vt-gray">{t.score}</span>
+            </p>
+          ))}
+        </div>
+      )}
+
+      {!isOpen && isHost && (
+        <div className="flex gap-3">
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className="flex-1 bg-vt-black border border-vt-darkgray py-2 px-2 text-sm text-vt-light"
+          >
+            {Object.entries(METHODS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => run(() => onStart(method))}
+            disabled={busy}
+            className="flex-1 py-2 px-4 border border-vt-darkgray text-vt-white text-sm disabled:opacity-30"
+          >
+            {finalVote?.outcome ? 'vote again' : 'start final vote'}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-red-400 text-sm text-center mt-3">{error}</p>
+      )}
+    </div>
+  );
+}
+
+export default FinalVote;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+const SCORES = [1, 2, 3, 4, 5];
+
+// Post-watch check-in at the top of the results: everyone rates the movie the
+// group watched, which tells the next session whether the pick landed
+function HowWasIt({ watched, myRating, onRate }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRate = async (rating) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onRate(rating);
+    } catch (err) {
+      setError(err.message || 'Could not save your rating');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="result-card mb-6 border border-vt-white animate-fade-in">
+      <span className="text-vt-gray text-xs uppercase tracking-wider">how was it?</span>
+      <p className="text-vt-white text-lg mb-3">{watched.title}</p>
+      <div className="flex gap-2">
+        {SCORES.map(score => (
+          <button
+            key={score}
+            onClick={() => handleRate(score)}
+            disabled={busy}
+            className={`flex-1 py-2 border text-sm transition-all ${
+              myRating === score ? 'border-vt-white bg-vt-white text-vt-black' : 'border-vt-darkgray text-vt-light hover:border-vt-light'
+            }`}
+          >
+            {score}
+          </button>
+        ))}
+      </div>
+      <p className="text-vt-gray text-xs mt-2">
+        {myRating ? 'thanks! tap again to change it' : '1 = not for us, 5 = instant favorite'}
+        {watched.averageRating !== null && ` · group: ${watched.averageRating}/5`}
+      </p>
+      {error && <p className="text-red-400 text-sm text-center mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default HowWasIt;
@@ -1,22 +1,34 @@
 import React, { useState } from 'react';
+import ConstraintsForm from './ConstraintsForm';
 
-function Landing({ onCreate }) {
-  const [name, setName] = useState('');
+function Landing({ profile, onCreate, onViewProfile }) {
+  const [name, setName] = useState(profile?.name || '');
+  const [rememberMe, setRememberMe] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [showLimits, setShowLimits] = useState(false);
+  const [constraints, setConstraints] = useState({});
+  const [showCrew, setShowCrew] = useState(false);
+  const [crewName, setCrewName] = useState('');
+  const [error, setError] = useState(null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!name.trim()) return;
 
     setLoading(true);
+    setError(null);
     try {
       await onCreate({
         mode: 'discover',
         category: 'movies',
-        hostName: name.trim()
+        hostName: name.trim(),
+        constraints,
+        rememberMe,
+        crewName: crewName.trim()
       });
     } catch (err) {
       console.error('Failed to create:', err);
+      setError(err.message || 'Could not start the session');
     } finally {
       setLoading(false);
     }
@@ -44,6 +56,55 @@ function Landing({ onCreate }) {
             autoFocus
             autoComplete="off"
           />
+          {showLimits ? (
+            <ConstraintsForm value={constraints} onChange={setConstraints} />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowLimits(true)}
+              className="text-vt-gray text-xs text-left hover:text-vt-white"
+            >
+              + set limits (runtime, rating, era, language, genres)
+            </button>
+          )}
+          {showCrew ? (
+            <input
+              type="text"
+              placeholder="crew name, e.g. friday movie club"
+              value={crewName}
+              onChange={(e) => setCrewName(e.target.value)}
+              maxLength={50}
+              className="w-full bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+              autoComplete="off"
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowCrew(true)}
+              className="text-vt-gray text-xs text-left hover:text-vt-white"
+            >
+              + make it a recurring crew (one link for every movie night)
+            </button>
+          )}
+          {profile ? (
+            <button
+              type="button"
+              onClick={onViewProfile}
+              className="text-vt-gray text-xs text-left hover:text-vt-white"
+            >
+              your taste profile ({profile.name}) is on · view or delete it
+            </button>
+          ) : (
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={rememberMe}
+                onChange={(e) => setRememberMe(e.target.checked)}
+                className="accent-white"
+              />
+              <span className="text-vt-gray text-sm">remember my taste on this device for next time</span>
+            </label>
+          )}
           <button
             type="submit"
             disabled={name.trim().length === 0 || loading}
@@ -51,6 +112,9 @@ function Landing({ onCreate }) {
           >
             {loading ? 'creating...' : 'start session'}
           </button>
+          {error && (
+            <p className="text-red-400 text-sm text-center">{error}</p>
+          )}
         </form>
       </div>
 
@@ -1,28 +1,38 @@
 import React, { useState, useEffect } from 'react';
 
-function MovieQuiz({ onSubmit, onComplete, onBack }) {
+function MovieQuiz({ sessionId, onVote, onLoadCards, onLoadAnswers, onSubmit, onComplete, onBack }) {
   const [movies, setMovies] = useState([]);
+  // In adaptive mode movies only holds the cards dealt so far, out of total
+  const [total, setTotal] = useState(0);
+  const [adaptive, setAdaptive] = useState(false);
+  const [dealing, setDealing] = useState(false);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [answers, setAnswers] = useState({});
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
+  // A vote or submit that didn't reach the server; voting again retries it
+  const [saveError, setSaveError] = useState(null);
 
   useEffect(() => {
     fetchMovies();
-  }, []);
+  }, [sessionId]);
 
   const fetchMovies = async () => {
     try {
-      const res = await fetch('/api/movies/quiz?count=15');
-      const data = await res.json();
-      if (data.movies) {
-        setMovies(data.movies);
-      } else {
-        setError('Could not load movies');
-      }
+      const [data, saved] = await Promise.all([
+        onLoadCards(),
+        onLoadAnswers().catch(() => ({}))
+      ]);
+      setMovies(data.movies);
+      setTotal(data.total);
+      setAdaptive(data.adaptive);
+      setAnswers(saved);
+      // Pick up at the first card they haven't voted on yet
+      const firstUnanswered = data.movies.findIndex(m => !saved[m.id]);
+      setCurrentIndex(firstUnanswered === -1 ? data.movies.length - 1 : firstUnanswered);
     } catch (err) {
-      setError('Failed to fetch movies');
+      setError(err.message || 'Failed to fetch movies');
     } finally {
       setLoading(false);
     }
@@ -51,8 +61,9 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
   }
 
   const currentMovie = movies[currentIndex];
-  const progress = ((currentIndex + 1) / movies.length) * 100;
-  const isLastMovie = currentIndex === movies.length - 1;
+  const progress = ((currentIndex + 1) / total) * 100;
+  const isLastMovie = currentIndex === total - 1;
+  const isLastDealt = currentIndex === movies.length - 1;
 
   const handleVote = (vote) => {
     // vote: 'love', 'like', 'pass', 'havent_seen'
@@ -65,6 +76,25 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
       }
     }));
 
+    // Adaptive decks deal the next card once this vote is saved
+    if (adaptive && isLastDealt && !isLastMovie) {
+      setDealing(true);
+      onVote(currentMovie.id, vote)
+        .then(data => {
+          setSaveError(null);
+          setMovies(data.movies);
+          if (data.movies.length > movies.length) setCurrentIndex(currentIndex + 1);
+        })
+        .catch(err => setSaveError(`couldn't save your vote (${err.message}), tap it again to retry`))
+        .finally(() => setDealing(false));
+      return;
+    }
+
+    // Autosave so a refresh or crash doesn't lose progress
+    onVote(currentMovie.id, vote)
+      .then(() => setSaveError(null))
+      .catch(err => setSaveError(`couldn't save your vote (${err.message}), it'll be sent when you submit`));
+
     if (!isLastMovie) {
       setCurrentIndex(currentIndex + 1);
     }
@@ -74,13 +104,11 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
     setSubmitting(true);
     try {
       await onSubmit(answers);
-      // Server generates results synchronously before responding,
-      // so by the time we get here, results should be in DB
-      // Wait a moment then redirect (results page will show loading if needed)
-      await new Promise(r => setTimeout(r, 500));
+      // Results are generated in the background; the lobby shows progress
+      // until results_ready arrives over the socket
       onComplete();
     } catch (err) {
-      console.error('Failed to submit:', err);
+      setSaveError(`couldn't submit (${err.message}), try again`);
       setSubmitting(false);
     }
   };
@@ -109,14 +137,14 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
   };
 
   const currentAnswer = answers[currentMovie?.id]?.vote;
-  const allAnswered = Object.keys(answers).length === movies.length;
+  const allAnswered = movies.length === total && movies.every(m => answers[m.id]);
 
   return (
     <div className="min-h-screen bg-vt-black flex flex-col px-6 py-6">
       {/* Progress */}
       <div className="mb-4">
         <div className="flex justify-between items-center mb-2">
-          <span className="text-vt-gray text-xs">{currentIndex + 1} of {movies.length}</span>
+          <span className="text-vt-gray text-xs">{currentIndex + 1} of {total}</span>
           <span className="text-vt-gray text-xs">{Math.round(progress)}%</span>
         </div>
         <div className="progress-bar">
@@ -166,8 +194,12 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
         </div>
       </div>
 
+      {saveError && (
+        <div className="mt-4 text-red-400 text-sm text-center">{saveError}</div>
+      )}
+
       {/* Vote Buttons */}
-      <div className="mt-6 space-y-3">
+      <div className={`mt-6 space-y-3 ${dealing ? 'opacity-50 pointer-events-none' : ''}`}>
         <div className="grid grid-cols-2 gap-3">
           <button
             onClick={() => handleVote('love')}
@@ -233,7 +265,7 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
           >
             {submitting ? 'submitting...' : 'see results'}
           </button>
-        ) : currentAnswer && !isLastMovie ? (
+        ) : currentAnswer && !isLastDealt ? (
           <button
             onClick={() => setCurrentIndex(currentIndex + 1)}
             className="flex-1 py-3 bg-vt-white text-vt-black font-medium rounded-lg"
@@ -245,7 +277,7 @@ function MovieQuiz({ onSubmit, onComplete, onBack }) {
 
       {/* Progress dots */}
       <div className="mt-4 flex justify-center gap-1 flex-wrap">
-        {movies.map((m, idx) => (
+        {Array.from({ length: total }, (_, idx) => movies[idx] || { id: `undealt-${idx}` }).map((m, idx) => (
           <div
             key={m.id}
             className={`w-2 h-2 rounded-full transition-all ${
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+
+const VOTE_LABELS = {
+  love: 'must watch',
+  like: 'interested',
+  pass: 'not for me',
+  havent_seen: 'haven\'t seen'
+};
+
+// What a taste profile remembers, with controls to forget votes or delete it all
+function ProfileView({ onLoad, onForgetVote, onDelete, onBack }) {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      setProfile(await onLoad());
+    } catch (err) {
+      setError(err.message || 'Could not load your profile');
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleForget = async (movieId) => {
+    try {
+      await onForgetVote(movieId);
+      setProfile(prev => ({ ...prev, votes: prev.votes.filter(v => v.movieId !== movieId) }));
+    } catch (err) {
+      setError(err.message || 'Could not forget that vote');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('delete your profile and everything it remembers? this can\'t be undone.')) return;
+    try {
+      await onDelete();
+    } catch (err) {
+      setError(err.message || 'Could not delete your profile');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-vt-black flex flex-col px-6 py-8">
+      <div className="flex justify-between items-start mb-8">
+        <div>
+          <span className="text-vt-gray text-xs uppercase tracking-wider">taste profile</span>
+          <h1 className="text-xl text-vt-white mt-1">{profile?.name || '...'}</h1>
+        </div>
+        <button onClick={onBack} className="text-vt-gray text-xs hover:text-vt-white">back</button>
+      </div>
+
+      {profile && (
+        <>
+          <p className="text-vt-gray text-sm mb-2">
+            {profile.taste.votes} vote{profile.taste.votes === 1 ? '' : 's'} remembered · {profile.taste.seenCount} seen
+          </p>
+          {profile.taste.loves.length > 0 && (
+            <p className="text-vt-light text-sm">loves {profile.taste.loves.join(', ').toLowerCase()}</p>
+          )}
+          {profile.taste.avoids.length > 0 && (
+            <p className="text-vt-light text-sm">avoids {profile.taste.avoids.join(', ').toLowerCase()}</p>
+          )}
+
+          <h2 className="text-vt-white text-sm mt-8 mb-3">votes</h2>
+          {profile.votes.length === 0 ? (
+            <p className="text-vt-gray text-xs">nothing yet. votes from your next session will show up here.</p>
+          ) : (
+            <div className="flex flex-col gap-2 mb-8">
+              {profile.votes.map(v => (
+                <div key={v.movieId} className="flex items-center gap-3 text-xs">
+                  <span className="flex-1 text-vt-light">{v.title}{v.year && <span className="text-vt-gray"> {v.year}</span>}</span>
+                  <span className="text-vt-gray">{VOTE_LABELS[v.vote]}</span>
+                  <button onClick={() => handleForget(v.movieId)} className="text-vt-gray hover:text-vt-white">
+                    forget
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={handleDelete}
+            className="mt-auto py-3 border border-vt-darkgray text-vt-gray hover:border-red-400 hover:text-red-400 transition-colors"
+          >
+            delete my profile
+          </button>
+        </>
+      )}
+
+      {error && <p className="text-red-400 text-sm text-center mt-4">{error}</p>}
+    </div>
+  );
+}
+
+export default ProfileView;
@@ -1,7 +1,235 @@
 import React, { useState, useEffect } from 'react';
+import FinalVote from './FinalVote';
+import WatchedPanel from './WatchedPanel';
+import HowWasIt from './HowWasIt';
+import { SCORING_LABELS } from './ScoringPicker';
 
-function Results({ sessionData, results, participantName, onNewSession }) {
+// Affinity runs from -2 (all passes) to 2 (all must-watch)
+function GenreBar({ genre, value }) {
+  const width = Math.round(((value + 2) / 4) * 100);
+  return (
+    <div className="flex items-center gap-3">
+      <span className="text-vt-light text-xs w-28 truncate">{genre.toLowerCase()}</span>
+      <div className="flex-1 progress-bar">
+        <div
+          className={`h-full ${value >= 0 ? 'bg-green-500' : 'bg-red-500'}`}
+          style={{ width: `${width}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function formatRuntime(minutes) {
+  if (!minutes) return null;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+// Where a recommendation can be watched, with the group's own services first
+function WhereToWatch({ availability }) {
+  const yours = availability.on_services;
+  const others = availability.stream.filter(name => !yours.includes(name));
+  const line = yours.length
+    ? <>on <span className="text-green-500">{yours.join(', ')}</span>{others.length > 0 && `, ${others.join(', ')}`}</>
+    : others.length
+      ? `stream on ${others.join(', ')}`
+      : availability.rent.length
+        ? `rent on ${availability.rent.join(', ')}`
+        : 'not streaming right now';
+  return (
+    <p className="text-vt-gray text-xs mt-2">
+      {line}
+      {availability.link && (
+        <>
+          {' · '}
+          <a href={availability.link} target="_blank" rel="noreferrer" className="underline hover:text-vt-white">
+            where to watch
+          </a>
+        </>
+      )}
+    </p>
+  );
+}
+
+// A recommendation, shown as a poster card once it's been matched to TMDB
+function RecCard({ rec }) {
+  const details = [rec.year, formatRuntime(rec.runtime), rec.genres?.slice(0, 2).join(', ')].filter(Boolean);
+  return (
+    <div className="result-card flex gap-4">
+      {rec.verified && rec.poster && (
+        <img
+          src={rec.poster}
+          alt={rec.title}
+          className="w-20 aspect-[2/3] object-cover rounded-lg flex-shrink-0"
+        />
+      )}
+      <div className="flex-1 min-w-0">
+        <div className="flex justify-between items-start mb-2">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="text-vt-white font-medium">{rec.verified ? rec.title : rec.item}</span>
+            {rec.verified ? (
+              <span className="text-xs text-green-500">verified</span>
+            ) : rec.verified === false && (
+              <span className="text-xs text-vt-gray">unverified</span>
+            )}
+          </div>
+          {rec.rank && <span className="text-vt-gray text-xs">#{rec.rank}</span>}
+        </div>
+        {rec.verified && details.length > 0 && (
+          <p className="text-vt-gray text-xs mb-2">{details.join(' • ')}</p>
+        )}
+        {rec.reason && <p className="text-vt-gray text-sm mb-2">{rec.reason}</p>}
+        {rec.verified && rec.overview && (
+          <p className="text-vt-light text-xs leading-relaxed line-clamp-3">{rec.overview}</p>
+        )}
+        {rec.availability && <WhereToWatch availability={rec.availability} />}
+      </div>
+    </div>
+  );
+}
+
+// Similarity runs from -1 (opposite tastes) to 1 (identical)
+function SimilarityHeatmap({ similarity, participantName }) {
+  const { participants, matrix } = similarity;
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th />
+            {participants.map((name) => (
+              <th key={name} className="text-vt-gray font-normal px-1 pb-1 max-w-16 truncate">
+                {name.slice(0, 6)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {participants.map((rowName, i) => (
+            <tr key={rowName}>
+              <td className={`pr-2 text-right truncate ${rowName === participantName ? 'text-vt-white' : 'text-vt-gray'}`}>
+                {rowName}
+              </td>
+              {matrix[i].map((score, j) => (
+                <td
+                  key={j}
+                  title={score === null ? 'no movies in common' : `${rowName} & ${participants[j]}: ${score}`}
+                  className="w-9 h-9 text-center rounded text-vt-white"
+                  style={{
+                    backgroundColor: score === null
+                      ? 'transparent'
+                      : score >= 0
+                        ? `rgba(34, 197, 94, ${0.15 + score * 0.75})`
+                        : `rgba(239, 68, 68, ${0.15 + -score * 0.75})`
+                  }}
+                >
+                  {i === j ? '' : score === null ? '–' : score.toFixed(1)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Sessions are cleaned up after a day unless the host pins the results
+function PinToggle({ pinned, expiresAt, onPin }) {
+  const [error, setError] = useState(null);
+  const until = new Date(expiresAt * 1000).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  const toggle = async () => {
+    setError(null);
+    try {
+      await onPin(!pinned);
+    } catch (err) {
+      setError(err.message || 'Could not pin the results');
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between mb-4 text-xs">
+      <span className="text-vt-gray">{pinned ? `pinned, link works until ${until}` : `link works until ${until}`}</span>
+      <button onClick={toggle} className="text-vt-gray hover:text-vt-white">
+        {pinned ? 'unpin' : 'keep for longer'}
+      </button>
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+}
+
+function Results({
+  sessionId,
+  sessionData,
+  results,
+  participantId,
+  participantName,
+  isHost,
+  onRegenerate,
+  onStartFinalVote,
+  onCastBallot,
+  onCloseFinalVote,
+  onMarkWatched,
+  onRateWatched,
+  onClearWatched,
+  onRateMine,
+  onPin,
+  onNewSession
+}) {
   const [activeTab, setActiveTab] = useState('group');
+  const [versions, setVersions] = useState([]);
+  const [viewing, setViewing] = useState(null);
+  const [feedback, setFeedback] = useState('');
+  const [moreLike, setMoreLike] = useState('');
+  const [maxRuntime, setMaxRuntime] = useState('');
+  const [regenerating, setRegenerating] = useState(false);
+  const [regenerateError, setRegenerateError] = useState(null);
+
+  // Refresh the version list whenever a new version lands
+  useEffect(() => {
+    setViewing(null);
+    if (!sessionId || !results?.version) return;
+    fetch(`/api/session/${sessionId}/results/versions`)
+      .then(res => res.json())
+      .then(data => setVersions(data.versions || []))
+      .catch(err => console.error('Failed to load result versions:', err));
+  }, [sessionId, results?.version]);
+
+  const showVersion = async (version) => {
+    if (version === results.version) {
+      setViewing(null);
+      return;
+    }
+    try {
+      const res = await fetch(`/api/session/${sessionId}/results?version=${version}`);
+      const data = await res.json();
+      if (res.ok) setViewing(data.results);
+    } catch (err) {
+      console.error('Failed to load result version:', err);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setRegenerating(true);
+    setRegenerateError(null);
+    try {
+      await onRegenerate(feedback.trim(), {
+        ...(moreLike && { moreLike: Number(moreLike) }),
+        ...(maxRuntime && { maxRuntime: Number(maxRuntime) })
+      });
+      setFeedback('');
+      setMoreLike('');
+      setMaxRuntime('');
+    } catch (err) {
+      setRegenerateError(err.message || 'Failed to regenerate');
+    } finally {
+      setRegenerating(false);
+    }
+  };
 
   if (!results) {
     return (
@@ -19,8 +247,19 @@ function Results({ sessionData, results, participantName, onNewSession }) {
     );
   }
 
-  const { group_summary, recommendations, individual_writeups, update_reason } = results;
+  const shown = viewing || results;
+  const { group_summary, recommendations, individual_writeups, update_reason, consensus, similarity, partial } = shown;
+  const updating = partial || sessionData?.status === 'generating';
+  const regenerateFailed = sessionData?.status === 'complete' && sessionData?.results_error;
+  const finalVote = sessionData?.finalVote;
+  const tonightsPick = finalVote?.status === 'closed'
+    && finalVote.candidates.find(c => c.key === finalVote.outcome?.winner);
   const myWriteup = individual_writeups?.find(w => w.name === participantName);
+  const myMatch = similarity?.matches?.find(m => m.name === participantName);
+  const topGenres = Object.entries(consensus?.genre_affinity?.group || {}).slice(0, 5);
+  const myGenres = Object.entries(
+    consensus?.genre_affinity?.participants?.find(p => p.name === participantName)?.genres || {}
+  ).sort((a, b) => b[1] - a[1]);
 
   return (
     <div className="min-h-screen bg-vt-black flex flex-col px-6 py-8">
@@ -28,11 +267,68 @@ function Results({ sessionData, results, participantName, onNewSession }) {
       <div className="mb-6">
         <span className="text-vt-gray text-xs uppercase tracking-wider">{sessionData?.category}</span>
         <h1 className="text-xl text-vt-white mt-1">results</h1>
+        {sessionData?.crew && (
+          <a href={`/crew/${sessionData.crew.id}`} className="text-vt-gray text-xs hover:text-vt-white">
+            {sessionData.crew.name} · crew page
+          </a>
+        )}
         {update_reason && (
           <p className="text-vt-gray text-xs mt-1">updated: {update_reason}</p>
         )}
+        {updating && !partial && (
+          <p className="text-vt-gray text-xs mt-1 animate-pulse">updating results...</p>
+        )}
+        {sessionData?.archived && (
+          <p className="text-vt-gray text-xs mt-1">archived results · the session itself has been cleaned up</p>
+        )}
+        {regenerateFailed && (
+          <p className="text-red-400 text-xs mt-1">couldn't update the results, showing the last version</p>
+        )}
+
+        {/* Version switcher */}
+        {versions.length > 1 && (
+          <div className="flex flex-wrap gap-2 mt-3">
+            {versions.map((v) => (
+              <button
+                key={v.version}
+                onClick={() => showVersion(v.version)}
+                title={v.update_reason || 'first results'}
+                className={`py-1 px-3 text-xs border transition-all ${
+                  v.version === shown.version
+                    ? 'border-vt-white text-vt-white'
+                    : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+                }`}
+              >
+                v{v.version}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
+      {/* Tonight's pick - winner of the final vote */}
+      {tonightsPick && (
+        <div className="result-card flex items-center gap-4 mb-6 border border-vt-white animate-fade-in">
+          {tonightsPick.poster && (
+            <img src={tonightsPick.poster} alt={tonightsPick.title} className="w-14 aspect-[2/3] object-cover rounded" />
+          )}
+          <div>
+            <span className="text-vt-gray text-xs uppercase tracking-wider">tonight's pick</span>
+            <p className="text-vt-white text-lg">{tonightsPick.title}</p>
+            {tonightsPick.year && <span className="text-vt-gray text-xs">{tonightsPick.year}</span>}
+          </div>
+        </div>
+      )}
+
+      {/* Post-watch rating for everyone who took part */}
+      {sessionData?.watched && participantId && !viewing && !sessionData.archived && (
+        <HowWasIt
+          watched={sessionData.watched}
+          myRating={sessionData.watched.ratings[participantId]}
+          onRate={onRateMine}
+        />
+      )}
+
       {/* Tabs */}
       <div className="flex gap-2 mb-6">
         <button
@@ -63,90 +359,109 @@ function Results({ sessionData, results, participantName, onNewSession }) {
           {/* Group Summary */}
           <div className="mb-8">
             <h2 className="text-vt-white text-sm mb-3">group vibe</h2>
-            <p className="text-vt-light leading-relaxed">{group_summary}</p>
+            {group_summary ? (
+              <p className="text-vt-light leading-relaxed">{group_summary}</p>
+            ) : (
+              <p className="text-vt-gray text-sm animate-pulse">thinking...</p>
+            )}
           </div>
 
           {/* Recommendations */}
           <h2 className="text-vt-white text-sm mb-3">top picks</h2>
           <div className="flex flex-col gap-4 mb-8">
             {recommendations?.map((rec, idx) => (
-              <div key={idx} className="result-card">
-                <div className="flex justify-between items-start mb-2">
-                  <div className="flex items-center gap-2">
-                    <span className="text-vt-white font-medium">{rec.item}</span>
-                    {rec.verified && (
-                      <span className="text-xs text-green-500">verified</span>
-                    )}
-                  </div>
-                  <span className="text-vt-gray text-xs">#{rec.rank}</span>
-                </div>
-                <p className="text-vt-gray text-sm mb-2">{rec.reason}</p>
+              <RecCard key={idx} rec={rec} />
+            ))}
+            {partial && (
+              <p className="text-vt-gray text-xs animate-pulse">more picks on the way...</p>
+            )}
+            {recommendations?.some(rec => rec.availability) && (
+              <p className="text-vt-gray text-xs">streaming data from JustWatch via TMDB</p>
+            )}
+          </div>
 
-                {/* Verified place details */}
-                {rec.verified && (
-                  <div className="mt-3 pt-3 border-t border-vt-darkgray">
-                    {rec.address && (
-                      <p className="text-vt-light text-xs mb-1">{rec.address}</p>
-                    )}
-                    {rec.hours && (
-                      <p className="text-vt-gray text-xs mb-1">{rec.hours}</p>
+          {/* Watch tonight - computed from the deck votes */}
+          {consensus?.watch_tonight?.length > 0 && (
+            <>
+              <h2 className="text-vt-white text-sm mb-3">watch tonight</h2>
+              <p className="text-vt-gray text-xs mb-3">
+                from the movies you all swiped on · ranked by {SCORING_LABELS[consensus.strategy] || 'nobody passed'}
+              </p>
+              <div className="flex flex-col gap-2 mb-8">
+                {consensus.watch_tonight.map((movie) => (
+                  <div key={movie.id} className="result-card flex items-center gap-3">
+                    {movie.poster && (
+                      <img src={movie.poster} alt={movie.title} className="w-10 aspect-[2/3] object-cover rounded" />
                     )}
-                    <div className="flex flex-wrap gap-3 mt-2">
-                      {rec.website && (
-                        <a
-                          href={rec.website}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-xs text-vt-light hover:text-vt-white underline"
-                        >
-                          website
-                        </a>
-                      )}
-                      {rec.tel && (
-                        <a
-                          href={`tel:${rec.tel}`}
-                          className="text-xs text-vt-light hover:text-vt-white underline"
-                        >
-                          {rec.tel}
-                        </a>
-                      )}
-                      {(rec.lat && rec.lon) && (
-                        <a
-                          href={`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(rec.name || rec.item)}${rec.address ? '+' + encodeURIComponent(rec.address) : ''}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-xs text-vt-light hover:text-vt-white underline"
-                        >
-                          open in maps
-                        </a>
-                      )}
+                    <div className="flex-1">
+                      <span className="text-vt-white">{movie.title}</span>
+                      {movie.year && <span className="text-vt-gray text-xs ml-2">{movie.year}</span>}
+                      <p className="text-vt-gray text-xs mt-1">
+                        {movie.votes.love} must watch · {movie.votes.like} interested · {movie.votes.havent_seen} haven't seen
+                      </p>
                     </div>
+                    <span className="text-vt-gray text-xs">#{movie.rank}</span>
                   </div>
-                )}
+                ))}
               </div>
-            ))}
-          </div>
+            </>
+          )}
 
-          {/* All Writeups Preview */}
-          <h2 className="text-vt-white text-sm mb-3">everyone</h2>
-          <div className="flex flex-col gap-3">
-            {individual_writeups?.map((writeup, idx) => (
-              <div key={idx} className="writeup-card">
-                <div className="flex items-center gap-2 mb-2">
-                  <span className="text-vt-white font-medium">{writeup.name}</span>
-                  {writeup.name === participantName && (
-                    <span className="text-vt-gray text-xs">(you)</span>
-                  )}
-                </div>
-                <p className="text-vt-gray text-sm">{writeup.taste_summary}</p>
-                {writeup.most_similar_to && (
-                  <p className="text-vt-gray text-xs mt-2">
-                    closest match: {writeup.most_similar_to}
+          {/* Group genre affinity */}
+          {topGenres.length > 0 && (
+            <>
+              <h2 className="text-vt-white text-sm mb-3">group genres</h2>
+              <div className="flex flex-col gap-2 mb-8">
+                {topGenres.map(([genre, value]) => (
+                  <GenreBar key={genre} genre={genre} value={value} />
+                ))}
+              </div>
+            </>
+          )}
+
+          {/* Taste similarity */}
+          {similarity?.participants?.length > 1 && (
+            <>
+              <h2 className="text-vt-white text-sm mb-3">who vibes with who</h2>
+              <div className="mb-4">
+                <SimilarityHeatmap similarity={similarity} participantName={participantName} />
+              </div>
+              <div className="flex flex-col gap-1 mb-8">
+                {similarity.matches.map((match) => (
+                  <p key={match.name} className="text-vt-gray text-xs">
+                    <span className="text-vt-light">{match.name}</span>
+                    {match.closest ? ` · closest: ${match.closest.name}` : ' · no overlap yet'}
+                    {match.opposite && ` · most opposite: ${match.opposite.name}`}
                   </p>
-                )}
+                ))}
               </div>
-            ))}
-          </div>
+            </>
+          )}
+
+          {/* All Writeups Preview */}
+          {individual_writeups?.length > 0 && (
+            <>
+              <h2 className="text-vt-white text-sm mb-3">everyone</h2>
+              <div className="flex flex-col gap-3">
+                {individual_writeups.map((writeup, idx) => (
+                  <div key={idx} className="writeup-card">
+                    <div className="flex items-center gap-2 mb-2">
+                      <span className="text-vt-white font-medium">{writeup.name}</span>
+                      {writeup.name === participantName && (
+                        <span className="text-vt-gray text-xs">(you)</span>
+                      )}
+                    </div>
+                    <p className="text-vt-gray text-sm">{writeup.taste_summary}</p>
+                    {writeup.most_similar_to && (
+                      <p className="text-vt-gray text-xs mt-2">
+                        closest match: {writeup.most_similar_to}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
         </div>
       )}
 
@@ -165,32 +480,128 @@ function Results({ sessionData, results, participantName, onNewSession }) {
               <h2 className="text-vt-white text-sm mb-3">for you</h2>
               <div className="flex flex-col gap-4 mb-8">
                 {myWriteup.personal_recs?.map((rec, idx) => (
-                  <div key={idx} className="result-card">
-                    <p className="text-vt-white">{rec}</p>
-                  </div>
+                  // Older results stored personal recs as plain strings
+                  <RecCard key={idx} rec={typeof rec === 'string' ? { item: rec } : rec} />
                 ))}
               </div>
 
+              {/* Personal genre affinity */}
+              {myGenres.length > 0 && (
+                <>
+                  <h2 className="text-vt-white text-sm mb-3">your genres</h2>
+                  <div className="flex flex-col gap-2 mb-8">
+                    {myGenres.map(([genre, value]) => (
+                      <GenreBar key={genre} genre={genre} value={value} />
+                    ))}
+                  </div>
+                </>
+              )}
+
               {/* Similarity */}
-              {myWriteup.most_similar_to && (
+              {(myMatch?.closest || myWriteup.most_similar_to) && (
                 <div>
                   <h2 className="text-vt-white text-sm mb-3">your people</h2>
                   <div className="result-card">
                     <p className="text-vt-light">
-                      you vibe most with <span className="text-vt-white font-medium">{myWriteup.most_similar_to}</span>
+                      you vibe most with <span className="text-vt-white font-medium">{myMatch?.closest?.name || myWriteup.most_similar_to}</span>
                     </p>
+                    {myMatch?.opposite && (
+                      <p className="text-vt-gray text-sm mt-2">
+                        most opposite taste: <span className="text-vt-light">{myMatch.opposite.name}</span>
+                      </p>
+                    )}
                   </div>
                 </div>
               )}
             </>
+          ) : partial ? (
+            <div className="text-vt-gray text-sm animate-pulse">writing up your picks...</div>
           ) : (
             <div className="text-vt-gray">writeup not found</div>
           )}
         </div>
       )}
 
+      {/* Final vote on the shortlist */}
+      {!viewing && !updating && (
+        <FinalVote
+          finalVote={finalVote}
+          participantId={participantId}
+          isHost={isHost}
+          participantCount={sessionData?.participants?.length || 0}
+          onStart={onStartFinalVote}
+          onCastBallot={onCastBallot}
+          onClose={onCloseFinalVote}
+        />
+      )}
+
+      {/* What the group ended up watching */}
+      {!viewing && !updating && (
+        <WatchedPanel
+          watched={sessionData?.watched}
+          recommendations={recommendations}
+          participants={sessionData?.participants || []}
+          defaultRank={tonightsPick?.key}
+          isHost={isHost}
+          onMark={onMarkWatched}
+          onRate={onRateWatched}
+          onClear={onClearWatched}
+        />
+      )}
+
+      {/* Regenerate with feedback (host only, on the latest version) */}
+      {isHost && !viewing && !updating && onRegenerate && (
+        <form onSubmit={handleRegenerate} className="mt-8 flex flex-col gap-3">
+          <h2 className="text-vt-white text-sm">not quite right?</h2>
+          <input
+            type="text"
+            placeholder="e.g. something lighter, no subtitles"
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+            maxLength={300}
+            className="w-full bg-transparent border-b border-vt-darkgray py-2 text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+            autoComplete="off"
+          />
+          <div className="flex gap-3">
+            <select
+              value={moreLike}
+              onChange={(e) => setMoreLike(e.target.value)}
+              className="flex-1 bg-vt-black border border-vt-darkgray py-2 px-2 text-sm text-vt-light"
+            >
+              <option value="">more like...</option>
+              {recommendations?.map((rec) => (
+                <option key={rec.rank} value={rec.rank}>#{rec.rank} {rec.verified ? rec.title : rec.item}</option>
+              ))}
+            </select>
+            <select
+              value={maxRuntime}
+              onChange={(e) => setMaxRuntime(e.target.value)}
+              className="flex-1 bg-vt-black border border-vt-darkgray py-2 px-2 text-sm text-vt-light"
+            >
+              <option value="">any length</option>
+              <option value="90">under 1h30m</option>
+              <option value="120">under 2h</option>
+              <option value="150">under 2h30m</option>
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={regenerating || (!feedback.trim() && !moreLike && !maxRuntime)}
+            className="py-3 px-6 border border-vt-darkgray text-vt-white disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            {regenerating ? 'asking...' : 'regenerate'}
+          </button>
+          {regenerateError && (
+            <p className="text-red-400 text-sm text-center">{regenerateError}</p>
+          )}
+        </form>
+      )}
+
       {/* Actions */}
       <div className="mt-8 pt-6 border-t border-vt-darkgray">
+        {isHost && sessionData?.expiresAt && (
+          <PinToggle pinned={Boolean(sessionData.pinned_until)} expiresAt={sessionData.expiresAt} onPin={onPin} />
+        )}
         <button
           onClick={onNewSession}
           className="w-full py-3 bg-vt-white text-vt-black font-medium"
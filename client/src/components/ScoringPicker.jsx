@@ -0,0 +1,36 @@
+import React from 'react';
+
+// How "watch tonight" is ranked from the votes (STRATEGIES in server/scoring.js)
+export const SCORING_LABELS = {
+  veto: 'nobody passed',
+  weighted: 'total votes',
+  least_misery: 'least misery',
+  most_pleasure: 'most pleasure'
+};
+
+const HINTS = {
+  veto: 'any pass rules a movie out',
+  weighted: 'every love, like and pass adds up',
+  least_misery: "ranked by whoever's least keen",
+  most_pleasure: "ranked by whoever's most excited"
+};
+
+function ScoringPicker({ value = 'veto', onChange }) {
+  return (
+    <div className="flex flex-col gap-1">
+      <div className="flex items-center justify-between">
+        <span className="text-vt-gray text-xs">rank picks by</span>
+        <select
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="bg-vt-black border border-vt-darkgray py-1 px-2 text-xs text-vt-light"
+        >
+          {Object.entries(SCORING_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+      <span className="text-vt-gray text-xs">{HINTS[value]}</span>
+    </div>
+  );
+}
+
+export default ScoringPicker;
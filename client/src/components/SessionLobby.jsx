@@ -1,12 +1,30 @@
 import React, { useState, useEffect } from 'react';
+import ConstraintsForm, { summarizeConstraints } from './ConstraintsForm';
+import StreamingSettings from './StreamingSettings';
+import ScoringPicker from './ScoringPicker';
+import DeckPicker from './DeckPicker';
 
-function SessionLobby({ sessionData, participantId, participantName, isHost, onJoin, onGenerate, onStartQuiz, onViewResults, onCloseVoting }) {
+function SessionLobby({ sessionData, participantId, participantName, isHost, rejoinCode, profile, onJoin, onReclaim, onGenerate, onStartQuiz, onViewResults, onCloseVoting, onRetryResults, onUpdateSettings, onTransferHost }) {
   const [joinName, setJoinName] = useState('');
+  const [rememberMe, setRememberMe] = useState(false);
+  const [joinError, setJoinError] = useState(null);
   const [copied, setCopied] = useState(false);
   const [generating, setGenerating] = useState(false);
   const [generateError, setGenerateError] = useState(null);
   const [closing, setClosing] = useState(false);
   const [closeError, setCloseError] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [retryError, setRetryError] = useState(null);
+  const [showReclaim, setShowReclaim] = useState(false);
+  const [reclaimCode, setReclaimCode] = useState('');
+  const [reclaimError, setReclaimError] = useState(null);
+  const [rejoinCopied, setRejoinCopied] = useState(false);
+  const [limitsDraft, setLimitsDraft] = useState(null);
+  const [limitsError, setLimitsError] = useState(null);
+  const [deckIds, setDeckIds] = useState(sessionData?.deckIds || ['default']);
+  const [deckTheme, setDeckTheme] = useState(null);
+  const [adaptiveDeck, setAdaptiveDeck] = useState(false);
+  const limitsSummary = summarizeConstraints(sessionData?.constraints);
 
   useEffect(() => {
     if (joinName && !participantId) {
@@ -23,20 +41,65 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
   const handleJoin = async (e) => {
     e.preventDefault();
     if (joinName.trim()) {
-      await onJoin(sessionData.id, joinName.trim());
+      setJoinError(null);
+      try {
+        await onJoin(sessionData.id, joinName.trim(), rememberMe);
+      } catch (err) {
+        setJoinError(err.message || 'Could not join');
+      }
     }
   };
 
+  const handleRetry = async () => {
+    setRetrying(true);
+    setRetryError(null);
+    try {
+      await onRetryResults();
+    } catch (err) {
+      setRetryError(err.message || 'Failed to retry');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const handleReclaim = async (e) => {
+    e.preventDefault();
+    setReclaimError(null);
+    try {
+      await onReclaim(reclaimCode.trim());
+    } catch (err) {
+      setReclaimError(err.message || 'Could not rejoin');
+    }
+  };
+
+  const copyRejoinLink = () => {
+    navigator.clipboard.writeText(`${window.location.origin}/session/${sessionData?.id}?rejoin=${rejoinCode}`);
+    setRejoinCopied(true);
+    setTimeout(() => setRejoinCopied(false), 2000);
+  };
+
+  // Lets people pick up their seat on another device
+  const rejoinInfo = rejoinCode && (
+    <p className="text-vt-gray text-xs text-center mt-6">
+      switching devices? your rejoin code is <span className="text-vt-light font-mono">{rejoinCode}</span>
+      {' · '}
+      <button onClick={copyRejoinLink} className="underline hover:text-vt-white">
+        {rejoinCopied ? 'copied' : 'copy link'}
+      </button>
+    </p>
+  );
+
   const handleGenerate = async () => {
     setGenerating(true);
     setGenerateError(null);
     try {
-      await onGenerate();
+      const deckMode = adaptiveDeck ? 'adaptive' : 'static';
+      await onGenerate(deckTheme ? { theme: deckTheme, deckMode } : { deckIds, deckMode });
     } catch (err) {
       setGenerateError(
         sessionData?.mode === 'locals'
           ? 'Could not find places. Try again or use a larger radius.'
-          : 'Failed to generate questions. Please try again.'
+          : err.message || 'Failed to generate questions. Please try again.'
       );
     } finally {
       setGenerating(false);
@@ -55,7 +118,55 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
     }
   };
 
+  const handleToggleRewatches = async () => {
+    try {
+      await onUpdateSettings({ allowRewatches: !sessionData?.allow_rewatches });
+    } catch (err) {
+      console.error('Failed to update settings:', err);
+    }
+  };
+
+  const handleScoringChange = async (scoring) => {
+    try {
+      await onUpdateSettings({ scoring });
+    } catch (err) {
+      console.error('Failed to update ranking:', err);
+    }
+  };
+
+  const handleStreamingChange = async (streaming) => {
+    try {
+      await onUpdateSettings({ streaming });
+    } catch (err) {
+      console.error('Failed to update streaming services:', err);
+    }
+  };
+
+  const handleSaveLimits = async () => {
+    setLimitsError(null);
+    try {
+      await onUpdateSettings({ constraints: limitsDraft });
+      setLimitsDraft(null);
+    } catch (err) {
+      setLimitsError(err.message || 'Failed to save limits');
+    }
+  };
+
+  const handleTransferHost = async (participant) => {
+    if (!window.confirm(`make ${participant.name} the host? you'll lose host controls.`)) return;
+    try {
+      await onTransferHost(participant.id);
+    } catch (err) {
+      console.error('Failed to hand off host:', err);
+    }
+  };
+
   const shareUrl = window.location.href;
+  const deckSize = sessionData?.deckSize || 0;
+  // "9/15" while swiping, nothing before they've started
+  const progressLabel = (p) => (
+    !p.completed && p.progress > 0 && deckSize > 0 ? `${p.progress}/${deckSize}` : null
+  );
 
   // Guest joined but quiz not started yet
   if (!participantId && !isHost) {
@@ -76,6 +187,19 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
             autoFocus
             autoComplete="off"
           />
+          {profile ? (
+            <p className="text-vt-gray text-xs">your votes will be added to your taste profile ({profile.name})</p>
+          ) : (
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={rememberMe}
+                onChange={(e) => setRememberMe(e.target.checked)}
+                className="accent-white"
+              />
+              <span className="text-vt-gray text-sm">remember my taste on this device for next time</span>
+            </label>
+          )}
           <button
             type="submit"
             disabled={joinName.trim().length === 0}
@@ -83,7 +207,94 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
           >
             join
           </button>
+          {joinError && (
+            <p className="text-red-400 text-sm text-center">{joinError}</p>
+          )}
         </form>
+
+        {showReclaim ? (
+          <form onSubmit={handleReclaim} className="flex flex-col gap-4 mt-10">
+            <input
+              type="text"
+              placeholder="rejoin code"
+              value={reclaimCode}
+              onChange={(e) => setReclaimCode(e.target.value.toUpperCase())}
+              className="w-full bg-transparent border-b border-vt-darkgray py-3 text-lg text-vt-white placeholder-vt-gray font-mono focus:outline-none focus:border-vt-white transition-colors"
+              autoComplete="off"
+              maxLength={6}
+            />
+            <button
+              type="submit"
+              disabled={reclaimCode.trim().length === 0}
+              className="py-3 px-6 border border-vt-darkgray text-vt-white disabled:opacity-30 disabled:cursor-not-allowed"
+            >
+              rejoin
+            </button>
+            {reclaimError && (
+              <p className="text-red-400 text-sm text-center">{reclaimError}</p>
+            )}
+          </form>
+        ) : (
+          <button
+            onClick={() => setShowReclaim(true)}
+            className="mt-10 text-vt-gray text-sm hover:text-vt-white"
+          >
+            already joined on another device?
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  // Results job is running
+  if (sessionData?.status === 'generating') {
+    return (
+      <div className="min-h-screen bg-vt-black flex flex-col items-center justify-center px-6 py-12">
+        <span className="text-vt-gray text-xs uppercase tracking-wider mb-2">
+          {sessionData?.category}
+        </span>
+        <h1 className="text-xl text-vt-white mb-8">voting closed</h1>
+
+        <div className="flex items-center gap-3 mb-4">
+          <div className="w-2 h-2 bg-vt-white rounded-full animate-ping" />
+          <span className="text-vt-gray">generating results...</span>
+        </div>
+
+        <p className="text-vt-gray text-xs text-center">
+          this may take a moment
+        </p>
+      </div>
+    );
+  }
+
+  // Results job failed - the host can kick off another attempt
+  if (sessionData?.status === 'failed') {
+    return (
+      <div className="min-h-screen bg-vt-black flex flex-col items-center justify-center px-6 py-12">
+        <span className="text-vt-gray text-xs uppercase tracking-wider mb-2">
+          {sessionData?.category}
+        </span>
+        <h1 className="text-xl text-vt-white mb-4">results didn't come through</h1>
+        <p className="text-vt-gray text-sm text-center mb-8">
+          something went wrong while generating results. your votes are saved.
+        </p>
+
+        {isHost ? (
+          <>
+            <button
+              onClick={handleRetry}
+              disabled={retrying}
+              className="py-4 px-8 bg-vt-white text-vt-black font-medium disabled:opacity-50"
+            >
+              {retrying ? 'retrying...' : 'try again'}
+            </button>
+            {retryError && (
+              <p className="text-red-400 text-sm text-center mt-3">{retryError}</p>
+            )}
+          </>
+        ) : (
+          <p className="text-vt-gray text-sm text-center">waiting for the host to try again...</p>
+        )}
       </div>
     );
   }
@@ -126,7 +337,7 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
                         : 'bg-vt-white text-vt-black'
                     }`}
                   >
-                    {p.name} {p.completed ? '✓' : '...'}
+                    {p.name} {p.completed ? '✓' : progressLabel(p) || '...'}
                   </div>
                 ))}
               </div>
@@ -135,6 +346,7 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
             <p className="text-vt-gray text-xs text-center">
               {completedCount}/{totalCount} finished
             </p>
+            {rejoinInfo}
           </div>
         </div>
       );
@@ -169,6 +381,11 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
               {sessionData?.category}
             </span>
             <h1 className="text-xl text-vt-white mt-1">vibe check</h1>
+            {sessionData?.crew && (
+              <a href={`/crew/${sessionData.crew.id}`} className="text-vt-gray text-xs hover:text-vt-white">
+                {sessionData.crew.name}
+              </a>
+            )}
           </div>
           {isHost && (
             <button onClick={copyLink} className="text-vt-gray text-xs hover:text-vt-white">
@@ -184,17 +401,99 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
               <code className="text-vt-light text-sm break-all">{shareUrl}</code>
             </div>
 
+            <label className="flex items-center gap-3 mb-6 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={Boolean(sessionData?.allow_rewatches)}
+                onChange={handleToggleRewatches}
+                className="accent-white"
+              />
+              <span className="text-vt-gray text-sm">allow rewatches of must-watch movies in results</span>
+            </label>
+
+            <div className="mb-6">
+              <StreamingSettings value={sessionData?.streaming} onChange={handleStreamingChange} />
+            </div>
+
+            <div className="mb-6">
+              <ScoringPicker value={sessionData?.scoring || 'veto'} onChange={handleScoringChange} />
+            </div>
+
+            {sessionData?.status === 'lobby' && (
+              <div className="mb-6">
+                <DeckPicker
+                  value={deckIds}
+                  onChange={setDeckIds}
+                  theme={deckTheme}
+                  onThemeChange={setDeckTheme}
+                  constraints={sessionData?.constraints}
+                />
+                <label className="flex items-center gap-3 mt-4 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={adaptiveDeck}
+                    onChange={(e) => setAdaptiveDeck(e.target.checked)}
+                    className="accent-white"
+                  />
+                  <span className="text-vt-gray text-sm">adaptive deck: after a shared start, each card is picked from everyone's answers</span>
+                </label>
+              </div>
+            )}
+
+            {/* Watch limits can change until the deck is picked */}
+            {sessionData?.deckSize ? (
+              limitsSummary && <p className="text-vt-gray text-xs mb-6">limits: {limitsSummary}</p>
+            ) : limitsDraft ? (
+              <div className="mb-6">
+                <ConstraintsForm value={limitsDraft} onChange={setLimitsDraft} />
+                <div className="flex gap-3 mt-3">
+                  <button
+                    onClick={handleSaveLimits}
+                    className="flex-1 py-2 bg-vt-white text-vt-black text-sm font-medium"
+                  >
+                    save limits
+                  </button>
+                  <button
+                    onClick={() => { setLimitsDraft(null); setLimitsError(null); }}
+                    className="flex-1 py-2 border border-vt-darkgray text-vt-gray text-sm"
+                  >
+                    cancel
+                  </button>
+                </div>
+                {limitsError && (
+                  <p className="text-red-400 text-sm text-center mt-2">{limitsError}</p>
+                )}
+              </div>
+            ) : (
+              <button
+                onClick={() => setLimitsDraft(sessionData?.constraints || {})}
+                className="text-vt-gray text-xs text-left mb-6 hover:text-vt-white"
+              >
+                {limitsSummary ? `limits: ${limitsSummary} · edit` : '+ set limits (runtime, rating, era, language, genres)'}
+              </button>
+            )}
+
             <h2 className="text-vt-white mb-4 text-sm">participants ({totalCount})</h2>
             <div className="flex flex-col gap-2 mb-8">
               {allParticipants.map((p) => (
                 <div key={p.id} className="flex items-center gap-3 py-2">
                   <div className="avatar-circle">{p.name.charAt(0).toUpperCase()}</div>
                   <span className="text-vt-white">{p.name}</span>
-                  {p.name === sessionData?.host_name && (
+                  {p.id === sessionData?.host_participant_id && (
                     <span className="text-vt-gray text-xs">(host)</span>
                   )}
-                  {p.completed && (
+                  {p.completed ? (
                     <span className="text-vt-gray text-xs">done</span>
+                  ) : progressLabel(p) && (
+                    <span className="text-vt-gray text-xs">{progressLabel(p)}</span>
+                  )}
+                  {p.id !== sessionData?.host_participant_id && (
+                    <button
+                      onClick={() => handleTransferHost(p)}
+                      className="ml-auto text-vt-gray text-xs hover:text-vt-white"
+                    >
+                      make host
+                    </button>
                   )}
                 </div>
               ))}
@@ -213,7 +512,7 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
                   onClick={onStartQuiz}
                   className="py-4 bg-vt-white text-vt-black font-medium mb-4"
                 >
-                  take quiz
+                  {currentParticipant?.progress > 0 ? 'resume quiz' : 'take quiz'}
                 </button>
                 {totalCount > 0 && (
                   <p className="text-vt-gray text-sm text-center mb-4">
@@ -277,12 +576,19 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
           </>
         ) : (
           <>
+            {limitsSummary && (
+              <p className="text-vt-gray text-xs mb-6">limits: {limitsSummary}</p>
+            )}
             <h2 className="text-vt-white mb-4 text-sm">participants ({totalCount})</h2>
             <div className="flex flex-wrap gap-2 mb-8">
               {allParticipants.map((p) => (
                 <div key={p.id} className="flex items-center gap-2 bg-vt-dark px-3 py-2 rounded-full">
                   <span className="text-vt-white text-sm">{p.name}</span>
-                  {p.completed && <span className="text-vt-gray text-xs">done</span>}
+                  {p.completed ? (
+                    <span className="text-vt-gray text-xs">done</span>
+                  ) : progressLabel(p) && (
+                    <span className="text-vt-gray text-xs">{progressLabel(p)}</span>
+                  )}
                 </div>
               ))}
             </div>
@@ -294,11 +600,13 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
                 onClick={onStartQuiz}
                 className="py-4 bg-vt-white text-vt-black font-medium"
               >
-                start quiz
+                {currentParticipant?.progress > 0 ? 'resume quiz' : 'start quiz'}
               </button>
             )}
           </>
         )}
+
+        {rejoinInfo}
       </div>
     );
   }
@@ -0,0 +1,70 @@
+import React from 'react';
+
+// Common subscription services by TMDB provider id
+const SERVICES = [
+  { id: 8, name: 'netflix' },
+  { id: 9, name: 'prime video' },
+  { id: 337, name: 'disney+' },
+  { id: 1899, name: 'max' },
+  { id: 15, name: 'hulu' },
+  { id: 350, name: 'apple tv+' },
+  { id: 531, name: 'paramount+' },
+  { id: 386, name: 'peacock' },
+  { id: 258, name: 'criterion channel' },
+  { id: 11, name: 'mubi' }
+];
+const REGIONS = ['US', 'GB', 'CA', 'AU', 'IE', 'DE', 'FR', 'ES', 'IT', 'NL', 'IN', 'BR', 'MX', 'JP'];
+
+// The services the group subscribes to, and whether results only show what's on them
+function StreamingSettings({ value, onChange }) {
+  const services = value?.services || [];
+  const update = (changes) => onChange({ region: 'US', mode: 'rank', ...value, services, ...changes });
+
+  const toggleService = (id) => {
+    update({ services: services.includes(id) ? services.filter(s => s !== id) : [...services, id] });
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <span className="text-vt-gray text-xs">we stream on</span>
+        <select
+          value={value?.region || 'US'}
+          onChange={(e) => update({ region: e.target.value })}
+          className="bg-vt-black border border-vt-darkgray py-1 px-2 text-xs text-vt-light"
+        >
+          {REGIONS.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {SERVICES.map(service => (
+          <button
+            key={service.id}
+            type="button"
+            onClick={() => toggleService(service.id)}
+            className={`py-1 px-2 text-xs border transition-all ${
+              services.includes(service.id)
+                ? 'border-vt-white text-vt-white'
+                : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+            }`}
+          >
+            {service.name}
+          </button>
+        ))}
+      </div>
+      {services.length > 0 && (
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={value?.mode === 'filter'}
+            onChange={(e) => update({ mode: e.target.checked ? 'filter' : 'rank' })}
+            className="accent-white"
+          />
+          <span className="text-vt-gray text-sm">only recommend movies we can stream</span>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default StreamingSettings;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { GENRES, LANGUAGES } from './ConstraintsForm';
+
+const DECADES = [1950, 1960, 1970, 1980, 1990, 2000, 2010, 2020];
+const VOTE_FLOORS = [1000, 5000];
+const MAX_GENRES = 5;
+
+const selectClass = 'flex-1 bg-vt-black border border-vt-darkgray py-2 px-2 text-sm text-vt-light';
+
+// Describe a deck instead of picking one: genres, decade, language, how
+// well-known and a keyword. The server builds it from TMDB when the quiz starts.
+function ThemedDeckForm({ value = {}, constraints, onChange }) {
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const set = (key, next) => {
+    const updated = { ...value, [key]: next };
+    if (next === '' || next === null || (Array.isArray(next) && next.length === 0)) delete updated[key];
+    setPreview(null);
+    onChange(updated);
+  };
+
+  const toggleGenre = (genre) => {
+    const current = value.genres || [];
+    if (current.includes(genre)) set('genres', current.filter(g => g !== genre));
+    else if (current.length < MAX_GENRES) set('genres', [...current, genre]);
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/decks/theme-preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ theme: value, constraints })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to preview deck');
+      }
+      setPreview(data.movies);
+    } catch (err) {
+      setError(err.message || 'Failed to preview deck');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap gap-2">
+        {GENRES.map(genre => (
+          <button
+            key={genre}
+            type="button"
+            onClick={() => toggleGenre(genre)}
+            className={`py-1 px-2 text-xs border transition-all ${
+              value.genres?.includes(genre) ? 'border-vt-white text-vt-white' : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+            }`}
+          >
+            {genre.toLowerCase()}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-3">
+        <select
+          value={value.decade || ''}
+          onChange={(e) => set('decade', e.target.value ? Number(e.target.value) : '')}
+          className={selectClass}
+        >
+          <option value="">any decade</option>
+          {DECADES.map(d => <option key={d} value={d}>{d}s</option>)}
+        </select>
+        <select
+          value={value.language || ''}
+          onChange={(e) => set('language', e.target.value)}
+          className={selectClass}
+        >
+          <option value="">any language</option>
+          {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+        </select>
+        <select
+          value={value.minVotes || ''}
+          onChange={(e) => set('minVotes', e.target.value ? Number(e.target.value) : '')}
+          className={selectClass}
+        >
+          <option value="">any buzz</option>
+          {VOTE_FLOORS.map(v => <option key={v} value={v}>{v}+ votes</option>)}
+        </select>
+      </div>
+
+      <input
+        type="text"
+        placeholder="keyword, e.g. heist or time travel"
+        value={value.keyword || ''}
+        onChange={(e) => set('keyword', e.target.value)}
+        maxLength={50}
+        className="w-full bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+        autoComplete="off"
+      />
+
+      <button
+        type="button"
+        onClick={handlePreview}
+        disabled={previewing || Object.keys(value).length === 0}
+        className="text-vt-gray text-xs text-left hover:text-vt-white disabled:opacity-30"
+      >
+        {previewing ? 'looking...' : 'preview deck'}
+      </button>
+      {preview && (
+        <p className="text-vt-gray text-xs">
+          {preview.length === 0
+            ? 'nothing matches, try broader criteria'
+            : `${preview.length} movies, like ${preview.slice(0, 3).map(m => m.title.toLowerCase()).join(', ')}`}
+        </p>
+      )}
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+    </div>
+  );
+}
+
+export default ThemedDeckForm;
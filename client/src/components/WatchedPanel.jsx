@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+
+const SCORES = [1, 2, 3, 4, 5];
+
+// After movie night: the host marks which pick the group watched and how
+// everyone rated it (ratings are keyed by participant id). A crew remembers
+// this for its next sessions.
+function WatchedPanel({ watched, recommendations, participants, defaultRank, isHost, onMark, onRate, onClear }) {
+  const [rank, setRank] = useState('');
+  const [ratings, setRatings] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setRatings(watched?.ratings || {});
+  }, [watched?.id, watched?.title]);
+
+  // Ratings people give themselves show up without losing the host's edits
+  useEffect(() => {
+    setRatings(prev => ({ ...prev, ...watched?.ratings }));
+  }, [JSON.stringify(watched?.ratings)]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!watched && !isHost) return null;
+
+  const picked = rank || defaultRank || '';
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-vt-white text-sm mb-3">what did you watch?</h2>
+
+      {watched ? (
+        <div className="result-card">
+          <div className="flex items-center gap-3 mb-3">
+            {watched.poster && (
+              <img src={watched.poster} alt={watched.title} className="w-10 aspect-[2/3] object-cover rounded" />
+            )}
+            <div className="flex-1">
+              <p className="text-vt-white">{watched.title}</p>
+              <span className="text-vt-gray text-xs">
+                {watched.averageRating === null ? 'not rated yet' : `rated ${watched.averageRating}/5 · ${watched.outcome}`}
+              </span>
+            </div>
+            {isHost && (
+              <button onClick={() => run(onClear)} disabled={busy} className="text-vt-gray text-xs hover:text-vt-white">
+                undo
+              </button>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-2">
+            {participants.map(({ id, name }) => (
+              <div key={id} className="flex items-center gap-3 text-xs">
+                <span className="flex-1 text-vt-light truncate">{name}</span>
+                {isHost ? SCORES.map(score => (
+                  <button
+                    key={score}
+                    onClick={() => setRatings(prev => ({ ...prev, [id]: score }))}
+                    className={`w-6 h-6 border transition-all ${
+                      ratings[id] === score ? 'border-vt-white text-vt-white' : 'border-vt-darkgray text-vt-gray'
+                    }`}
+                  >
+                    {score}
+                  </button>
+                )) : (
+                  <span className="text-vt-gray">{watched.ratings[id] ? `${watched.ratings[id]}/5` : '–'}</span>
+                )}
+              </div>
+            ))}
+          </div>
+          {isHost && (
+            <button
+              onClick={() => run(() => onRate(ratings))}
+              disabled={busy || Object.keys(ratings).length === 0}
+              className="mt-3 py-2 px-4 border border-vt-darkgray text-vt-white text-sm disabled:opacity-30"
+            >
+              save ratings
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="flex gap-3">
+          <select
+            value={picked}
+            onChange={(e) => setRank(e.target.value)}
+            className="flex-1 bg-vt-black border border-vt-darkgray py-2 px-2 text-sm text-vt-light"
+          >
+            <option value="">pick the movie...</option>
+            {recommendations?.map(rec => (
+              <option key={rec.rank} value={rec.rank}>#{rec.rank} {rec.verified ? rec.title : rec.item}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => run(() => onMark(Number(picked)))}
+            disabled={busy || !picked}
+            className="py-2 px-4 border border-vt-darkgray text-vt-white text-sm disabled:opacity-30"
+          >
+            we watched this
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-red-400 text-sm text-center mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default WatchedPanel;
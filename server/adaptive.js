@@ -0,0 +1,135 @@
+import { VOTE_WEIGHTS } from './scoring.js';
+
+// Adaptive decks: instead of one fixed list, the session draws a larger pool
+// and each participant's next card is picked from their answers so far. The
+// first few cards of the pool are a shared core everyone sees, so there's
+// always common ground to compare people on.
+
+export const DECK_MODES = ['static', 'adaptive'];
+export const ADAPTIVE_QUIZ_LENGTH = 15;
+export const ADAPTIVE_CORE_SIZE = 6;
+export const ADAPTIVE_POOL_SIZE = 40;
+
+// A genre is settled once someone has given it this many opinions that all
+// lean the same way (a couple of passes on horror tell us plenty)
+const SETTLED_AFTER = 2;
+const SETTLED_PENALTY = 0.3;
+
+function decade(movie) {
+  const year = parseInt(movie.year);
+  return year ? Math.floor(year / 10) * 10 : null;
+}
+
+// What one participant's votes so far say: how often each genre and decade has
+// come up, and which genres they've made their mind up about
+function profile(cards, answers, prior = {}) {
+  const genreSeen = {};
+  const decadeSeen = {};
+  const genreVotes = {};
+  for (const movie of cards) {
+    const era = decade(movie);
+    if (era) decadeSeen[era] = (decadeSeen[era] || 0) + 1;
+    const weight = VOTE_WEIGHTS[answers[movie.id]?.vote];
+    for (const genre of movie.genres || []) {
+      genreSeen[genre] = (genreSeen[genre] || 0) + 1;
+      if (weight !== undefined) (genreVotes[genre] ??= []).push(weight);
+    }
+  }
+  const settled = new Set(
+    Object.entries(genreVotes)
+      .filter(([, w]) => w.length >= SETTLED_AFTER && (w.every(v => v > 0) || w.every(v => v < 0)))
+      .map(([genre]) => genre)
+  );
+  // Long-term taste from earlier sessions fills in genres this session hasn't covered
+  const affinity = {
+    ...prior,
+    ...Object.fromEntries(
+      Object.entries(genreVotes).map(([genre, w]) => [genre, w.reduce((sum, v) => sum + v, 0) / w.length])
+    )
+  };
+  return { genreSeen, decadeSeen, settled, affinity };
+}
+
+// How this participant would probably vote on a movie, from their genre
+// affinities so far (undefined when none of its genres have come up)
+function predictedWeight(movie, mine) {
+  const known = (movie.genres || []).filter(g => g in mine.affinity);
+  if (known.length === 0) return undefined;
+  return known.reduce((sum, g) => sum + mine.affinity[g], 0) / known.length;
+}
+
+// How split the group is on a movie, 0 (no opinions or all agree) to 1. The
+// others' votes count along with how this participant would probably vote,
+// so a movie the others rated against this participant's taste scores high.
+function disagreement(movie, mine, others) {
+  const weights = others
+    .map(answers => VOTE_WEIGHTS[answers[movie.id]?.vote])
+    .filter(w => w !== undefined);
+  const predicted = predictedWeight(movie, mine);
+  if (weights.length > 0 && predicted !== undefined) weights.push(predicted);
+  if (weights.length < 2) return 0;
+  const mean = weights.reduce((sum, w) => sum + w, 0) / weights.length;
+  const variance = weights.reduce((sum, w) => sum + (w - mean) ** 2, 0) / weights.length;
+  // Weights run from -2 to 2, so the variance tops out at 4
+  return variance / 4;
+}
+
+// How many of the others have an opinion on a movie, 0 to 1
+function overlap(movieId, others) {
+  if (others.length === 0) return 0;
+  const voted = others.filter(answers => VOTE_WEIGHTS[answers[movieId]?.vote] !== undefined).length;
+  return voted / others.length;
+}
+
+// How much we'd learn from showing this movie next
+function informationScore(movie, mine, others) {
+  const genres = movie.genres || [];
+  const era = decade(movie);
+
+  // Explore genres and eras that haven't come up yet. Settled genres have
+  // nothing left to explore.
+  const genreNovelty = genres.length
+    ? genres.reduce((sum, g) => sum + (mine.settled.has(g) ? 0 : 1 / (1 + (mine.genreSeen[g] || 0))), 0) / genres.length
+    : 0.5;
+  const eraNovelty = era ? 1 / (1 + (mine.decadeSeen[era] || 0)) : 0.5;
+
+  // Probe movies the group splits on, and favor ones the others have rated
+  const score = genreNovelty + 0.5 * eraNovelty + 1.5 * disagreement(movie, mine, others) + 0.5 * overlap(movie.id, others);
+
+  // Don't spend cards confirming what we already know
+  const settledShare = genres.length ? genres.filter(g => mine.settled.has(g)).length / genres.length : 0;
+  return score * (1 - (1 - SETTLED_PENALTY) * settledShare);
+}
+
+// Pick the next card for a participant. pool is the session's pool (core
+// first), served the ids they've been shown, answers their votes and
+// othersAnswers everyone else's. For someone with a taste profile, known is
+// the ids they've voted on before (skipped after the core while there's
+// anything else) and prior their genre affinities. Returns the movie, or null
+// when there's nothing left to show.
+export function chooseNextCard(pool, served, answers, othersAnswers, { known = new Set(), prior = {} } = {}) {
+  const shown = new Set(served);
+
+  // Everyone sees the core, in the same order
+  const core = pool.slice(0, ADAPTIVE_CORE_SIZE).find(m => !shown.has(m.id));
+  if (core) return core;
+
+  const unshown = pool.filter(m => !shown.has(m.id));
+  if (unshown.length === 0) return null;
+  const unknown = unshown.filter(m => !known.has(m.id));
+  const remaining = unknown.length ? unknown : unshown;
+
+  const cards = pool.filter(m => shown.has(m.id));
+  const mine = profile(cards, answers, prior);
+  let best = null;
+  let bestScore = -Infinity;
+  // Ties go to the earlier pool entry, since the pool comes in deck order
+  for (const movie of remaining) {
+    const score = informationScore(movie, mine, othersAnswers);
+    if (score > bestScore) {
+      best = movie;
+      bestScore = score;
+    }
+  }
+  return best;
+}
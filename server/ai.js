@@ -0,0 +1,174 @@
+import { mockCompletion } from './aiMock.js';
+
+// AI provider layer. Everything goes through callAI, which picks a provider
+// from the environment:
+//
+//   AI_PROVIDER     "openai" (default, any OpenAI-compatible API) or "mock"
+//   AI_BASE_URL     e.g. http://localhost:11434/v1 for Ollama
+//   AI_MODEL        model name sent to the API
+//   AI_API_KEY      falls back to SYNTHETIC_API_KEY; optional for local servers
+//   AI_AUTH_HEADER  header carrying the key (default Authorization, sent as "Bearer <key>")
+//   AI_TEMPERATURE  default 0.8
+//   AI_TIMEOUT_MS   how long to wait for a response, or between streamed chunks (default 60000)
+//   AI_RETRIES      extra attempts after a failure (default 2)
+
+const DEFAULT_BASE_URL = 'https://api.synthetic.new/v1';
+const DEFAULT_MODEL = 'hf:moonshotai/Kimi-K2-Instruct-0905';
+
+// A numeric setting, or the fallback when it's unset, empty or not a number
+function numberSetting(value, fallback) {
+  const n = Number(value);
+  return value === undefined || value === '' || !Number.isFinite(n) ? fallback : n;
+}
+
+export function getAIConfig() {
+  const env = process.env;
+  return {
+    provider: env.AI_PROVIDER || 'openai',
+    baseUrl: (env.AI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, ''),
+    model: env.AI_MODEL || DEFAULT_MODEL,
+    apiKey: env.AI_API_KEY || env.SYNTHETIC_API_KEY,
+    authHeader: env.AI_AUTH_HEADER || 'Authorization',
+    temperature: numberSetting(env.AI_TEMPERATURE, 0.8),
+    timeoutMs: numberSetting(env.AI_TIMEOUT_MS, 0) || 60000,
+    retries: Math.max(0, Math.floor(numberSetting(env.AI_RETRIES, 2)))
+  };
+}
+
+class RetryableError extends Error {}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// An abort signal that fires after ms without activity. A long answer can take
+// minutes to stream from a local model, so each chunk calls reset() to restart
+// the clock rather than the whole response having to fit in the timeout.
+function idleTimeout(ms) {
+  const controller = new AbortController();
+  let timer;
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new Error(`no response for ${ms}ms`)), ms);
+  };
+  reset();
+  return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+// Read an SSE chat completion stream, reporting the text so far after each chunk
+async function readStream(res, onDelta, onChunk) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  for await (const chunk of res.body) {
+    onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return text;
+      try {
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(text);
+        }
+      } catch {
+        // Ignore keep-alives and malformed lines
+      }
+    }
+  }
+  return text;
+}
+
+// One chat completion against an OpenAI-compatible /chat/completions endpoint.
+// With onDelta the completion is streamed and onDelta gets the text so far.
+async function openAICompletion(messages, maxTokens, config, context, onDelta) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers[config.authHeader] = config.authHeader.toLowerCase() === 'authorization'
+      ? `Bearer ${config.apiKey}`
+      : config.apiKey;
+  }
+
+  const timeout = idleTimeout(config.timeoutMs);
+  try {
+    let res;
+    try {
+      res = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: config.model,
+          messages,
+          max_tokens: maxTokens,
+          temperature: config.temperature,
+          ...(onDelta && { stream: true })
+        }),
+        signal: timeout.signal
+      });
+    } catch (err) {
+      // Network errors and timeouts are worth another try
+      throw new RetryableError(err.message);
+    }
+
+    if (res.status === 429 || res.status >= 500) {
+      throw new RetryableError(`AI API returned ${res.status}`);
+    }
+    if (!res.ok) {
+      throw new Error(`AI API returned ${res.status}: ${await res.text()}`);
+    }
+    // Some servers ignore stream: true and answer with plain JSON
+    if (onDelta && res.headers.get('content-type')?.includes('text/event-stream')) {
+      try {
+        return await readStream(res, onDelta, timeout.reset) || null;
+      } catch (err) {
+        throw new RetryableError(`stream interrupted: ${err.message}`);
+      }
+    }
+    const data = await res.json();
+    const content = data.choices?.[0]?.message?.content || null;
+    if (content && onDelta) onDelta(content);
+    return content;
+  } finally {
+    timeout.clear();
+  }
+}
+
+const PROVIDERS = {
+  openai: openAICompletion,
+  mock: mockCompletion
+};
+
+// Send a chat completion to the configured provider. Returns the message text,
+// or null if the provider is unavailable or every attempt failed.
+// context carries structured data (task name, votes) for providers that can use
+// it instead of the prompt text; the mock provider relies on it.
+// Pass onDelta to stream: it's called with the accumulated text as it arrives,
+// and the full text is still returned at the end.
+export async function callAI(messages, maxTokens = 1500, context = {}, { onDelta } = {}) {
+  const config = getAIConfig();
+  const provider = PROVIDERS[config.provider];
+  if (!provider) {
+    console.error(`Unknown AI_PROVIDER "${config.provider}"`);
+    return null;
+  }
+  if (config.provider === 'openai' && !config.apiKey && config.baseUrl === DEFAULT_BASE_URL) {
+    console.error('SYNTHETIC_API_KEY not set');
+    return null;
+  }
+
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    try {
+      return await provider(messages, maxTokens, config, context, onDelta);
+    } catch (err) {
+      const retryable = err instanceof RetryableError && attempt < config.retries;
+      console.error(`AI API error (attempt ${attempt + 1}):`, err.message);
+      if (!retryable) return null;
+      // Exponential backoff: 1s, 2s, 4s...
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+  return null;
+}
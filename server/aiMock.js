@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { constraintViolations } from './constraints.js';
+
+// Deterministic stand-in for the AI (AI_PROVIDER=mock). It ignores the prompt
+// text and builds schema-valid responses from the structured context passed to
+// callAI, recommending from the bundled seed movies so everything resolves
+// offline.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let catalog = null;
+function getCatalog() {
+  catalog ??= JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'movies-seed.json'), 'utf8'));
+  return catalog;
+}
+
+const label = (m) => `${m.title} (${m.year})`;
+
+// Average affinity of a movie's genres; unknown genres count as neutral
+function affinityScore(movie, affinity) {
+  if (!movie.genres?.length) return 0;
+  return movie.genres.reduce((sum, g) => sum + (affinity[g] ?? 0), 0) / movie.genres.length;
+}
+
+// Catalog movies ranked by affinity, skipping anything in avoid or outside the constraints
+function rankCatalog(affinity, avoid, constraints = {}) {
+  return getCatalog()
+    .filter(m => !avoid.has(m.title.toLowerCase()))
+    .filter(m => constraintViolations(m, constraints).length === 0)
+    .map(m => ({ movie: m, score: affinityScore(m, affinity) }))
+    .sort((a, b) => (b.score - a.score) || (b.movie.rating - a.movie.rating) || (a.movie.id - b.movie.id))
+    .map(r => r.movie);
+}
+
+function topGenres(affinity, n, { negative = false } = {}) {
+  return Object.entries(affinity)
+    .filter(([, v]) => negative ? v < 0 : v > 0)
+    .sort((a, b) => negative ? a[1] - b[1] : b[1] - a[1])
+    .slice(0, n)
+    .map(([g]) => g.toLowerCase());
+}
+
+function describe(affinity, who) {
+  const likes = topGenres(affinity, 2);
+  const dislikes = topGenres(affinity, 1, { negative: true });
+  if (likes.length === 0) return `${who} didn't lean towards any genre in particular.`;
+  return `${who} leans towards ${likes.join(' and ')}`
+    + (dislikes.length ? ` and steers clear of ${dislikes[0]}.` : '.');
+}
+
+// "More like #n": lean towards the genres of that earlier pick
+function steerAffinity(affinity, previous = [], moreLike) {
+  const target = previous.find(r => r.rank === moreLike);
+  const movie = target && getCatalog().find(m => label(m) === target.item || m.id === target.tmdb_id);
+  if (!movie) return affinity;
+  const steered = { ...affinity };
+  for (const g of movie.genres) steered[g] = (steered[g] ?? 0) + 2;
+  return steered;
+}
+
+function mockResults({ participants = [], consensus, exclude = [], previous, constraints = {} }) {
+  const avoid = new Set(exclude.map(t => t.toLowerCase()));
+  const groupAffinity = steerAffinity(consensus?.genre_affinity?.group || {}, previous, constraints.moreLike);
+  const recs = rankCatalog(groupAffinity, avoid, constraints).slice(0, 5);
+  const recTitles = new Set(recs.map(m => m.title.toLowerCase()));
+
+  return {
+    group_summary: describe(groupAffinity, 'Your group'),
+    recommendations: recs.map((m, idx) => ({
+      item: label(m),
+      reason: `Fits the group's taste for ${m.genres.slice(0, 2).join(' and ').toLowerCase()}.`,
+      rank: idx + 1
+    })),
+    individual_writeups: participants.map(p => {
+      const affinity = consensus?.genre_affinity?.participants?.find(a => a.name === p.name)?.genres || {};
+      const personal = rankCatalog(affinity, new Set([...avoid, ...recTitles]), constraints).slice(0, 2);
+      return {
+        name: p.name,
+        taste_summary: describe(affinity, p.name),
+        personal_recs: personal.map(label)
+      };
+    })
+  };
+}
+
+function mockMoreRecommendations({ count = 1, avoid = [], keep = [], rejected = [], constraints = {} }) {
+  const stripYear = (item) => item.replace(/\s*\(\d{4}\)\s*$/, '');
+  const skip = new Set([...avoid, ...keep.map(stripYear), ...rejected.map(stripYear)].map(t => t.toLowerCase()));
+  return {
+    recommendations: rankCatalog({}, skip, constraints).slice(0, count).map(m => ({
+      item: label(m),
+      reason: 'A well-loved pick in the same spirit.'
+    }))
+  };
+}
+
+const TASKS = {
+  results: mockResults,
+  more_recommendations: mockMoreRecommendations
+};
+
+const STREAM_CHUNK_SIZE = 32;
+
+export async function mockCompletion(messages, maxTokens, config, context = {}, onDelta) {
+  const task = TASKS[context.task];
+  if (!task) return null;
+  const text = JSON.stringify(task(context), null, 2);
+
+  // Stream in fixed-size chunks so partial parsing gets exercised
+  if (onDelta) {
+    for (let end = STREAM_CHUNK_SIZE; end < text.length + STREAM_CHUNK_SIZE; end += STREAM_CHUNK_SIZE) {
+      onDelta(text.slice(0, end));
+      await new Promise(r => setImmediate(r));
+    }
+  }
+  return text;
+}
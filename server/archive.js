@@ -0,0 +1,26 @@
+import db from './db.js';
+
+// Finished results outlive the session they came from. When a session is
+// cleaned up, its current results and a summary of the session (who took
+// part, tonight's pick, what was watched) move here, without anyone's raw
+// answers, so a results link shared in chat keeps working.
+
+// Save a session's results to the archive. summary is the public view of the
+// session, minus the raw results.
+export function archiveSession(session, summary) {
+  db.prepare(`INSERT OR REPLACE INTO archived_results (session_id, summary, results, created_at, archived_at)
+    VALUES (?, ?, ?, ?, unixepoch())`)
+    .run(session.id, JSON.stringify(summary), session.results, session.created_at);
+}
+
+// An archived session as { summary, results, archived_at }, or null
+export function getArchivedSession(sessionId) {
+  const row = db.prepare('SELECT * FROM archived_results WHERE session_id = ?').get(sessionId);
+  if (!row) return null;
+  return { summary: JSON.parse(row.summary), results: JSON.parse(row.results), archived_at: row.archived_at };
+}
+
+// Drop archived results older than the cutoff (unix seconds). Returns how many went.
+export function pruneArchive(cutoff) {
+  return db.prepare('DELETE FROM archived_results WHERE archived_at < ?').run(cutoff).changes;
+}
@@ -0,0 +1,80 @@
+import { fetchWatchProviders } from './tmdb.js';
+
+// Streaming availability for recommendations. A session can list the services
+// the group subscribes to; recommendations on those services are ranked first
+// ("rank") or are the only ones kept ("filter").
+
+export const AVAILABILITY_MODES = ['rank', 'filter'];
+
+const MAX_SERVICES = 30;
+
+export function defaultWatchRegion() {
+  return (process.env.WATCH_REGION || 'US').toUpperCase();
+}
+
+// Validate streaming settings from a request body: { region, services, mode }
+// with services as TMDB provider ids. Returns { streaming } or { error }.
+export function parseStreamingSettings(input) {
+  if (input === undefined || input === null) return { streaming: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'streaming must be an object' };
+
+  const region = input.region ?? defaultWatchRegion();
+  if (typeof region !== 'string' || !/^[a-z]{2}$/i.test(region)) {
+    return { error: 'region must be a two-letter country code' };
+  }
+  const services = input.services ?? [];
+  if (!Array.isArray(services) || services.length > MAX_SERVICES || !services.every(Number.isInteger)) {
+    return { error: 'services must be a list of provider ids' };
+  }
+  const mode = input.mode ?? 'rank';
+  if (!AVAILABILITY_MODES.includes(mode)) {
+    return { error: `mode must be one of ${AVAILABILITY_MODES.join(', ')}` };
+  }
+  return { streaming: { region: region.toUpperCase(), services: [...new Set(services)], mode } };
+}
+
+// Where a resolved rec can be watched, and which of the group's services have it
+async function lookUp(rec, { region, services = [] }) {
+  if (!rec.verified) return null;
+  const providers = await fetchWatchProviders(rec.tmdb_id, region);
+  if (!providers) return null;
+  const names = (list) => list.map(p => p.name);
+  return {
+    region,
+    link: providers.link,
+    stream: names(providers.stream),
+    rent: names(providers.rent),
+    buy: names(providers.buy),
+    on_services: names(providers.stream.filter(p => services.includes(p.id)))
+  };
+}
+
+// True when a rec streams on one of the group's services
+export async function isOnServices(rec, streaming) {
+  const availability = await lookUp(rec, streaming);
+  return Boolean(availability?.on_services.length);
+}
+
+// Attach availability to group and personal recs. With services set, group
+// recs the group can stream move to the front (the order is otherwise kept).
+export async function addAvailability(results, streaming) {
+  const withAvailability = (recs) => Promise.all(
+    recs.map(async rec => ({ ...rec, availability: await lookUp(rec, streaming) }))
+  );
+
+  let recommendations = await withAvailability(results.recommendations || []);
+  if (streaming.services.length) {
+    const streamable = (rec) => rec.availability?.on_services.length > 0;
+    recommendations = [...recommendations.filter(streamable), ...recommendations.filter(r => !streamable(r))]
+      .map((rec, idx) => ({ ...rec, rank: idx + 1 }));
+  }
+
+  const individual_writeups = await Promise.all(
+    (results.individual_writeups || []).map(async w => ({
+      ...w,
+      personal_recs: await withAvailability(w.personal_recs || [])
+    }))
+  );
+
+  return { ...results, recommendations, individual_writeups };
+}
@@ -0,0 +1,107 @@
+// Final group vote on the recommended shortlist.
+// Every ballot is an ordered list of candidate keys, most preferred first.
+// Approval counts every listed candidate; Borda and instant-runoff use the order.
+
+export const BALLOT_METHODS = ['approval', 'borda', 'instant_runoff'];
+
+// How many ballots put each remaining candidate first
+function countFirstChoices(keys, ballots) {
+  const counts = Object.fromEntries(keys.map(k => [k, 0]));
+  for (const ranking of ballots) {
+    const first = ranking.find(k => k in counts);
+    if (first) counts[first]++;
+  }
+  return counts;
+}
+
+// Order tied candidates best first: more first choices, then the AI's original rank.
+// Reports which rule separated the top two, if any did.
+function breakTie(tied, ballots, candidates) {
+  const firsts = countFirstChoices(candidates.map(c => c.key), ballots);
+  const aiRank = (key) => candidates.findIndex(c => c.key === key);
+  const ordered = [...tied].sort((a, b) => (firsts[b] - firsts[a]) || (aiRank(a) - aiRank(b)));
+  const [a, b] = ordered;
+  const rule = b === undefined ? null : firsts[a] !== firsts[b] ? 'first_choices' : 'ai_rank';
+  return { ordered, rule };
+}
+
+function scoreApproval(candidates, ballots) {
+  const scores = Object.fromEntries(candidates.map(c => [c.key, 0]));
+  for (const ranking of ballots) {
+    for (const key of new Set(ranking)) {
+      if (key in scores) scores[key]++;
+    }
+  }
+  return scores;
+}
+
+// n-1 points for a first choice down to 0 for last; unranked candidates get 0
+function scoreBorda(candidates, ballots) {
+  const n = candidates.length;
+  const scores = Object.fromEntries(candidates.map(c => [c.key, 0]));
+  for (const ranking of ballots) {
+    ranking.filter(k => k in scores).forEach((key, idx) => {
+      scores[key] += n - 1 - idx;
+    });
+  }
+  return scores;
+}
+
+// Pick the highest scorer, breaking ties
+function pickByScore(candidates, ballots, scores) {
+  const best = Math.max(...Object.values(scores));
+  const tied = candidates.map(c => c.key).filter(k => scores[k] === best);
+  const { ordered, rule } = breakTie(tied, ballots, candidates);
+  return { winner: ordered[0], tie_break: rule };
+}
+
+// Drop the last-place candidate each round until someone has a majority of
+// the ballots still in play
+function runInstantRunoff(candidates, ballots) {
+  let remaining = candidates.map(c => c.key);
+  const rounds = [];
+
+  while (remaining.length > 0) {
+    const counts = countFirstChoices(remaining, ballots);
+    rounds.push(counts);
+    const active = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const best = Math.max(...Object.values(counts));
+    const leaders = remaining.filter(k => counts[k] === best);
+
+    if (best * 2 > active || remaining.length === 1 || (remaining.length === leaders.length && leaders.length > 1)) {
+      const { ordered, rule } = breakTie(leaders, ballots, candidates);
+      return { winner: ordered[0], rounds, tie_break: rule };
+    }
+
+    const worst = Math.min(...Object.values(counts));
+    const trailing = remaining.filter(k => counts[k] === worst);
+    const { ordered } = breakTie(trailing, ballots, candidates);
+    const eliminated = ordered[ordered.length - 1];
+    remaining = remaining.filter(k => k !== eliminated);
+  }
+  return { winner: null, rounds, tie_break: null };
+}
+
+// Tally ballots with the chosen method.
+// Returns { method, winner, tallies: [{ key, score }], rounds?, tie_break, ballots }.
+export function tallyBallots(candidates, ballots, method = 'approval') {
+  const valid = ballots.filter(r => Array.isArray(r) && r.length > 0);
+  if (valid.length === 0 || candidates.length === 0) {
+    return { method, winner: null, tallies: [], tie_break: null, ballots: 0 };
+  }
+
+  let outcome;
+  let scores;
+  if (method === 'instant_runoff') {
+    outcome = runInstantRunoff(candidates, valid);
+    scores = outcome.rounds[outcome.rounds.length - 1];
+  } else {
+    scores = method === 'borda' ? scoreBorda(candidates, valid) : scoreApproval(candidates, valid);
+    outcome = pickByScore(candidates, valid, scores);
+  }
+
+  const tallies = candidates
+    .map(c => ({ key: c.key, score: scores[c.key] ?? 0 }))
+    .sort((a, b) => b.score - a.score);
+  return { method, ...outcome, tallies, ballots: valid.length };
+}
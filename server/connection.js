@@ -0,0 +1,23 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// index.js loads .env too, but imports run first and the path is needed now
+dotenv.config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+
+// DB_PATH lets deployments keep the database on a persistent volume; relative
+// paths are resolved from the server directory
+export const DB_PATH = path.resolve(__dirname, process.env.DB_PATH || 'movies.db');
+
+// Open (or create) the SQLite file, without touching its schema. A read-only
+// connection never creates anything: the file has to exist already.
+export function openDatabase(file = DB_PATH, { readonly = false } = {}) {
+  if (readonly) return new Database(file, { readonly: true, fileMustExist: true });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return new Database(file);
+}
@@ -0,0 +1,118 @@
+// Watch constraints the host sets for a session: how long, how mature, which
+// era, which language and which genres are off the table. They shape the deck,
+// the AI prompt and which resolved recommendations survive.
+//
+// Missing metadata never counts as a violation: a movie with no known
+// certification isn't dropped for it.
+
+// US certifications from mildest to strongest
+export const CERTIFICATIONS = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+
+const MIN_YEAR = 1900;
+
+// Validate constraints from a request body. Returns { constraints } with only
+// the fields that were set, or { error }.
+export function parseConstraints(input) {
+  if (input === undefined || input === null) return { constraints: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'constraints must be an object' };
+
+  const constraints = {};
+  const { maxRuntime, maxCertification, minYear, maxYear, language, excludeGenres } = input;
+  const isSet = (v) => v !== undefined && v !== null && v !== '';
+  const maxAllowedYear = new Date().getFullYear() + 1;
+
+  if (isSet(maxRuntime)) {
+    if (!Number.isInteger(maxRuntime) || maxRuntime < 30 || maxRuntime > 600) {
+      return { error: 'maxRuntime must be between 30 and 600 minutes' };
+    }
+    constraints.maxRuntime = maxRuntime;
+  }
+  if (isSet(maxCertification)) {
+    if (!CERTIFICATIONS.includes(maxCertification)) {
+      return { error: `maxCertification must be one of ${CERTIFICATIONS.join(', ')}` };
+    }
+    constraints.maxCertification = maxCertification;
+  }
+  for (const [key, value] of [['minYear', minYear], ['maxYear', maxYear]]) {
+    if (!isSet(value)) continue;
+    if (!Number.isInteger(value) || value < MIN_YEAR || value > maxAllowedYear) {
+      return { error: `${key} must be a year between ${MIN_YEAR} and ${maxAllowedYear}` };
+    }
+    constraints[key] = value;
+  }
+  if (constraints.minYear && constraints.maxYear && constraints.minYear > constraints.maxYear) {
+    return { error: 'minYear must not be after maxYear' };
+  }
+  if (isSet(language)) {
+    if (typeof language !== 'string' || !/^[a-z]{2}$/i.test(language)) {
+      return { error: 'language must be a two-letter language code' };
+    }
+    constraints.language = language.toLowerCase();
+  }
+  if (isSet(excludeGenres)) {
+    if (!Array.isArray(excludeGenres) || !excludeGenres.every(g => typeof g === 'string' && g.trim())) {
+      return { error: 'excludeGenres must be a list of genre names' };
+    }
+    if (excludeGenres.length > 0) {
+      constraints.excludeGenres = [...new Set(excludeGenres.map(g => g.trim().slice(0, 30)))].slice(0, 20);
+    }
+  }
+  return { constraints };
+}
+
+// Combine two sets of constraints, keeping the stricter limit for each field
+export function mergeConstraints(a = {}, b = {}) {
+  const merged = { ...a, ...b };
+  const stricter = (key, pick) => {
+    if (a[key] !== undefined && b[key] !== undefined) merged[key] = pick(a[key], b[key]);
+  };
+  stricter('maxRuntime', Math.min);
+  stricter('maxYear', Math.min);
+  stricter('minYear', Math.max);
+  stricter('maxCertification', (x, y) => CERTIFICATIONS.indexOf(x) < CERTIFICATIONS.indexOf(y) ? x : y);
+  if (a.excludeGenres || b.excludeGenres) {
+    merged.excludeGenres = [...new Set([...(a.excludeGenres || []), ...(b.excludeGenres || [])])];
+  }
+  return merged;
+}
+
+// Reasons a movie breaks the constraints (empty when it's fine).
+// Takes anything with TMDB-style fields: runtime, certification, year,
+// original_language, genres.
+export function constraintViolations(movie, constraints = {}) {
+  const reasons = [];
+  if (constraints.maxRuntime && movie.runtime && movie.runtime > constraints.maxRuntime) {
+    reasons.push(`runs ${movie.runtime} minutes`);
+  }
+  if (constraints.maxCertification && CERTIFICATIONS.includes(movie.certification)
+    && CERTIFICATIONS.indexOf(movie.certification) > CERTIFICATIONS.indexOf(constraints.maxCertification)) {
+    reasons.push(`rated ${movie.certification}`);
+  }
+  const year = parseInt(movie.year);
+  if (year && constraints.minYear && year < constraints.minYear) reasons.push(`released in ${year}`);
+  if (year && constraints.maxYear && year > constraints.maxYear) reasons.push(`released in ${year}`);
+  if (constraints.language && movie.original_language && movie.original_language !== constraints.language) {
+    reasons.push(`in ${movie.original_language}`);
+  }
+  const excluded = new Set((constraints.excludeGenres || []).map(g => g.toLowerCase()));
+  const badGenre = (movie.genres || []).find(g => excluded.has(g.toLowerCase()));
+  if (badGenre) reasons.push(`is ${badGenre}`);
+  return reasons;
+}
+
+// Constraints as prompt guidelines, one per line (empty when there are none)
+export function describeConstraints(constraints = {}) {
+  const lines = [];
+  if (constraints.maxRuntime) lines.push(`Runtime must be ${constraints.maxRuntime} minutes or less`);
+  if (constraints.maxCertification) lines.push(`US rating must be ${constraints.maxCertification} or milder`);
+  if (constraints.minYear && constraints.maxYear) {
+    lines.push(`Released between ${constraints.minYear} and ${constraints.maxYear}`);
+  } else if (constraints.minYear) {
+    lines.push(`Released in ${constraints.minYear} or later`);
+  } else if (constraints.maxYear) {
+    lines.push(`Released in ${constraints.maxYear} or earlier`);
+  }
+  if (constraints.language) lines.push(`Original language must be "${constraints.language}" (ISO 639-1)`);
+  if (constraints.excludeGenres?.length) lines.push(`No ${constraints.excludeGenres.join(', ')} movies`);
+  return lines;
+}
@@ -0,0 +1,175 @@
+import { nanoid } from 'nanoid';
+import db from './db.js';
+
+// Crews are groups that do movie night again and again. A crew has a stable
+// link that spawns each week's session, remembers the settings it last used,
+// and keeps a watch history that outlives the sessions themselves: which
+// recommendation the group actually watched and how everyone rated it.
+
+const HISTORY_IN_PROMPT = 20;
+// Average ratings (out of 5) that make a movie night a hit or a miss
+const HIT_RATING = 4;
+const MISS_RATING = 2;
+
+function rowToCrew(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    settings: JSON.parse(row.settings || '{}'),
+    created_at: row.created_at
+  };
+}
+
+// Create a crew. Returns it with the token needed to manage its history.
+export function createCrew(name) {
+  const id = nanoid(8);
+  const token = nanoid(24);
+  db.prepare('INSERT INTO crews (id, name, token) VALUES (?, ?, ?)').run(id, name, token);
+  return { crew: getCrew(id), crewToken: token };
+}
+
+export function getCrew(id) {
+  const row = id && db.prepare('SELECT * FROM crews WHERE id = ?').get(id);
+  return row ? rowToCrew(row) : null;
+}
+
+export function canManageCrew(id, token) {
+  const row = db.prepare('SELECT token FROM crews WHERE id = ?').get(id);
+  return Boolean(row && token && row.token === token);
+}
+
+// Remember a crew session's settings so the next session starts from them
+export function saveCrewSettings(crewId, settings) {
+  db.prepare('UPDATE crews SET settings = ? WHERE id = ?').run(JSON.stringify(settings), crewId);
+}
+
+function averageOf(ratings) {
+  const scores = Object.values(ratings);
+  return scores.length ? Math.round((scores.reduce((sum, r) => sum + r, 0) / scores.length) * 10) / 10 : null;
+}
+
+// hit, okay or miss from the average rating (null until someone rates it)
+export function outcomeFor(averageRating) {
+  if (averageRating === null) return null;
+  if (averageRating >= HIT_RATING) return 'hit';
+  return averageRating <= MISS_RATING ? 'miss' : 'okay';
+}
+
+function rowToWatch(row) {
+  const ratings = JSON.parse(row.ratings || '{}');
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    movieId: row.movie_id,
+    title: row.title,
+    year: row.year,
+    poster: row.poster,
+    genres: JSON.parse(row.genres || '[]'),
+    // Where the movie sat in the group's recommendations (1 = the top pick)
+    rank: row.rank,
+    ratings,
+    averageRating: averageOf(ratings),
+    outcome: row.outcome,
+    watched_at: row.watched_at
+  };
+}
+
+// Record what a session ended up watching. Marking a different movie
+// replaces the earlier choice (and its ratings).
+export function recordWatch(sessionId, crewId, movie, rank) {
+  db.prepare(`INSERT INTO watch_history (session_id, crew_id, movie_id, title, year, poster, genres, rank, ratings, outcome, watched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, '{}', NULL, unixepoch())
+    ON CONFLICT(session_id) DO UPDATE SET
+      movie_id = excluded.movie_id, title = excluded.title, year = excluded.year, poster = excluded.poster,
+      genres = excluded.genres, rank = excluded.rank, ratings = '{}', outcome = NULL, watched_at = excluded.watched_at`)
+    .run(sessionId, crewId ?? null, movie.id ?? null, movie.title, movie.year ?? null, movie.poster ?? null,
+      JSON.stringify(movie.genres || []), rank ?? null);
+  return getWatchForSession(sessionId);
+}
+
+export function getWatchForSession(sessionId) {
+  const row = db.prepare('SELECT * FROM watch_history WHERE session_id = ?').get(sessionId);
+  return row ? rowToWatch(row) : null;
+}
+
+export function clearWatch(sessionId) {
+  db.prepare('DELETE FROM watch_history WHERE session_id = ?').run(sessionId);
+}
+
+// Add or change ratings ({ participantId: 1-5 }) on a session's watch, and
+// store the night's outcome
+export function rateWatch(sessionId, ratings) {
+  const watch = getWatchForSession(sessionId);
+  const merged = { ...watch.ratings, ...ratings };
+  db.prepare('UPDATE watch_history SET ratings = ?, outcome = ? WHERE session_id = ?')
+    .run(JSON.stringify(merged), outcomeFor(averageOf(merged)), sessionId);
+  return getWatchForSession(sessionId);
+}
+
+// Validate ratings from a request body: { participantId: 1-5 } for the
+// session's participants. Keyed by id since names needn't be unique.
+export function parseRatings(input, participantIds) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'ratings must be an object' };
+  const ratings = {};
+  for (const [participantId, rating] of Object.entries(input)) {
+    if (!participantIds.includes(participantId)) return { error: `Participant ${participantId} isn't in this session` };
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) return { error: 'Ratings must be from 1 to 5' };
+    ratings[participantId] = rating;
+  }
+  return { ratings };
+}
+
+// Everything a crew has watched, newest first
+export function getCrewHistory(crewId) {
+  return db.prepare('SELECT * FROM watch_history WHERE crew_id = ? ORDER BY watched_at DESC, id DESC').all(crewId).map(rowToWatch);
+}
+
+export function deleteWatch(crewId, watchId) {
+  return db.prepare('DELETE FROM watch_history WHERE crew_id = ? AND id = ?').run(crewId, watchId).changes > 0;
+}
+
+function rate(count, total) {
+  return total ? Math.round((count / total) * 100) / 100 : null;
+}
+
+// How a crew's picks have landed: hit rate overall, when they went with the
+// top recommendation and when they picked something further down, plus the
+// average rating per genre
+export function getCrewStats(history) {
+  const rated = history.filter(w => w.outcome);
+  const hits = rated.filter(w => w.outcome === 'hit').length;
+  const topPicks = rated.filter(w => w.rank === 1);
+  const others = rated.filter(w => w.rank !== 1);
+  const genres = {};
+  for (const w of rated) {
+    for (const genre of w.genres) {
+      genres[genre] ??= { genre, watched: 0, sum: 0 };
+      genres[genre].watched++;
+      genres[genre].sum += w.averageRating;
+    }
+  }
+  return {
+    watched: history.length,
+    rated: rated.length,
+    hits,
+    misses: rated.filter(w => w.outcome === 'miss').length,
+    hitRate: rate(hits, rated.length),
+    averageRating: rated.length ? Math.round((rated.reduce((sum, w) => sum + w.averageRating, 0) / rated.length) * 10) / 10 : null,
+    topPick: { rated: topPicks.length, hitRate: rate(topPicks.filter(w => w.outcome === 'hit').length, topPicks.length) },
+    otherPicks: { rated: others.length, hitRate: rate(others.filter(w => w.outcome === 'hit').length, others.length) },
+    genres: Object.values(genres)
+      .map(g => ({ genre: g.genre, watched: g.watched, averageRating: Math.round((g.sum / g.watched) * 10) / 10 }))
+      .sort((a, b) => b.averageRating - a.averageRating || b.watched - a.watched)
+  };
+}
+
+// The crew's recent movie nights as prompt lines, e.g.
+// "Heat (1995): rated 4.5/5, a hit (was the #1 recommendation)"
+export function describeHistory(history) {
+  return history.slice(0, HISTORY_IN_PROMPT).map(w => {
+    const title = w.year ? `${w.title} (${w.year})` : w.title;
+    const pick = w.rank ? ` (was the #${w.rank} recommendation)` : '';
+    if (w.averageRating === null) return `${title}: not rated${pick}`;
+    return `${title}: rated ${w.averageRating}/5, ${w.outcome === 'okay' ? 'okay' : `a ${w.outcome}`}${pick}`;
+  });
+}
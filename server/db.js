@@ -0,0 +1,12 @@
+import { openDatabase } from './connection.js';
+import { runMigrations } from './migrations/index.js';
+
+// SQLite setup. The schema is brought up to date before anything else uses
+// the database; see migrations/index.js.
+const db = openDatabase();
+
+for (const migration of await runMigrations(db)) {
+  console.log(`Applied migration ${migration.version}: ${migration.name}`);
+}
+
+export default db;
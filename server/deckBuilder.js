@@ -0,0 +1,237 @@
+import { discoverTMDB, searchKeywordTMDB, listCachedMovies } from './tmdb.js';
+
+// Themed decks built from TMDB discover: the host asks for genres, a decade,
+// a language, a minimum vote count and/or a keyword, and the server assembles
+// a deck from the most popular matches, balanced across genres.
+//
+// TMDB access goes through the tmdb option ({ discover, searchKeyword }) so the
+// builder can run against recorded discover responses instead of the live API.
+// Without TMDB the movie cache stands in for discover.
+
+// TMDB's movie genre ids
+export const GENRE_IDS = {
+  Action: 28,
+  Adventure: 12,
+  Animation: 16,
+  Comedy: 35,
+  Crime: 80,
+  Documentary: 99,
+  Drama: 18,
+  Family: 10751,
+  Fantasy: 14,
+  History: 36,
+  Horror: 27,
+  Music: 10402,
+  Mystery: 9648,
+  Romance: 10749,
+  'Science Fiction': 878,
+  Thriller: 53,
+  War: 10752,
+  Western: 37
+};
+
+const MAX_GENRES = 5;
+const MAX_PAGES = 3;
+const DEFAULT_MIN_VOTES = 100;
+const LIVE_TMDB = { discover: discoverTMDB, searchKeyword: searchKeywordTMDB };
+
+function genreId(name) {
+  const match = Object.keys(GENRE_IDS).find(g => g.toLowerCase() === String(name).toLowerCase());
+  return match ? GENRE_IDS[match] : null;
+}
+
+function genreName(id) {
+  return Object.keys(GENRE_IDS).find(g => GENRE_IDS[g] === id) || null;
+}
+
+// Validate themed deck criteria from a request body. Returns { criteria } with
+// only the fields that were set, or { error }.
+export function parseDeckCriteria(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'theme must be an object' };
+
+  const criteria = {};
+  const { genres, decade, language, minVotes, keyword } = input;
+  const isSet = (v) => v !== undefined && v !== null && v !== '';
+  const currentDecade = Math.floor(new Date().getFullYear() / 10) * 10;
+
+  if (isSet(genres)) {
+    if (!Array.isArray(genres) || genres.length > MAX_GENRES || !genres.every(g => genreId(g))) {
+      return { error: `genres must be up to ${MAX_GENRES} of: ${Object.keys(GENRE_IDS).join(', ')}` };
+    }
+    if (genres.length > 0) {
+      criteria.genres = [...new Set(genres.map(g => genreName(genreId(g))))];
+    }
+  }
+  if (isSet(decade)) {
+    if (!Number.isInteger(decade) || decade % 10 !== 0 || decade < 1920 || decade > currentDecade) {
+      return { error: `decade must be a decade from 1920 to ${currentDecade}, e.g. 1990` };
+    }
+    criteria.decade = decade;
+  }
+  if (isSet(language)) {
+    if (typeof language !== 'string' || !/^[a-z]{2}$/i.test(language)) {
+      return { error: 'language must be a two-letter language code' };
+    }
+    criteria.language = language.toLowerCase();
+  }
+  if (isSet(minVotes)) {
+    if (!Number.isInteger(minVotes) || minVotes < 0 || minVotes > 50000) {
+      return { error: 'minVotes must be between 0 and 50000' };
+    }
+    criteria.minVotes = minVotes;
+  }
+  if (isSet(keyword)) {
+    if (typeof keyword !== 'string' || !keyword.trim()) {
+      return { error: 'keyword must be a word or short phrase' };
+    }
+    criteria.keyword = keyword.trim().toLowerCase().slice(0, 50);
+  }
+  if (Object.keys(criteria).length === 0) {
+    return { error: 'Pick at least one thing for the theme' };
+  }
+  return { criteria };
+}
+
+// Short label for a theme, e.g. "horror, comedy · 1990s · about heist"
+export function describeCriteria(criteria = {}) {
+  const parts = [];
+  if (criteria.genres) parts.push(criteria.genres.join(', ').toLowerCase());
+  if (criteria.decade) parts.push(`${criteria.decade}s`);
+  if (criteria.language) parts.push(`in ${criteria.language}`);
+  if (criteria.keyword) parts.push(`about ${criteria.keyword}`);
+  if (criteria.minVotes) parts.push(`${criteria.minVotes}+ votes`);
+  return parts.join(' · ');
+}
+
+// Discover query params for the theme. The session's constraints narrow the
+// query too, so fewer results get thrown away when the quiz is drawn.
+function discoverParams(criteria, constraints, keywordId) {
+  const params = {
+    sort_by: 'popularity.desc',
+    include_adult: 'false',
+    'vote_count.gte': String(criteria.minVotes ?? DEFAULT_MIN_VOTES)
+  };
+
+  let fromYear = criteria.decade ?? null;
+  let toYear = criteria.decade ? criteria.decade + 9 : null;
+  if (constraints.minYear) fromYear = Math.max(fromYear ?? 0, constraints.minYear);
+  if (constraints.maxYear) toYear = Math.min(toYear ?? Infinity, constraints.maxYear);
+  if (fromYear) params['primary_release_date.gte'] = `${fromYear}-01-01`;
+  if (toYear) params['primary_release_date.lte'] = `${toYear}-12-31`;
+
+  const language = criteria.language || constraints.language;
+  if (language) params.with_original_language = language;
+  if (constraints.maxRuntime) params['with_runtime.lte'] = String(constraints.maxRuntime);
+  const without = (constraints.excludeGenres || []).map(genreId).filter(Boolean);
+  if (without.length) params.without_genres = without.join(',');
+  if (keywordId) params.with_keywords = String(keywordId);
+  return params;
+}
+
+// Answer a discover query from the movie cache, in TMDB's response shape.
+// Vote counts aren't cached, so the cache is ordered by rating instead and
+// minVotes is ignored; a keyword matches the title or overview.
+function discoverFromCache(params, keyword) {
+  const fromYear = parseInt(params['primary_release_date.gte']) || null;
+  const toYear = parseInt(params['primary_release_date.lte']) || null;
+  const withGenre = params.with_genres ? Number(params.with_genres) : null;
+  const without = (params.without_genres || '').split(',').filter(Boolean).map(Number);
+  const maxRuntime = parseInt(params['with_runtime.lte']) || null;
+
+  const results = listCachedMovies()
+    .filter(m => {
+      const genreIds = m.genres.map(genreId).filter(Boolean);
+      const year = parseInt(m.year);
+      if (withGenre && !genreIds.includes(withGenre)) return false;
+      if (genreIds.some(id => without.includes(id))) return false;
+      if (fromYear && (!year || year < fromYear)) return false;
+      if (toYear && (!year || year > toYear)) return false;
+      if (params.with_original_language && m.original_language && m.original_language !== params.with_original_language) return false;
+      if (maxRuntime && m.runtime && m.runtime > maxRuntime) return false;
+      if (keyword && !`${m.title} ${m.overview || ''}`.toLowerCase().includes(keyword)) return false;
+      return true;
+    })
+    .sort((a, b) => (b.rating || 0) - (a.rating || 0))
+    .map(m => ({
+      id: m.id,
+      title: m.title,
+      release_date: m.year ? `${m.year}-01-01` : '',
+      genre_ids: m.genres.map(genreId).filter(Boolean),
+      original_language: m.original_language
+    }));
+  return { page: 1, total_pages: 1, results };
+}
+
+// Discover results across pages until we have enough. Undefined when TMDB
+// couldn't be asked.
+async function discoverPages(params, discover, wanted) {
+  const results = [];
+  for (let page = 1; page <= MAX_PAGES && results.length < wanted; page++) {
+    const data = await discover({ ...params, page: String(page) });
+    if (!data) return page === 1 ? undefined : results;
+    results.push(...(data.results || []));
+    if (page >= (data.total_pages || 1)) break;
+  }
+  return results;
+}
+
+// Take from each group in turn so no single genre crowds out the rest,
+// skipping movies already picked from another group
+function interleave(groups, size) {
+  const picked = [];
+  const seen = new Set();
+  const queues = groups.map(g => [...g]);
+  while (picked.length < size && queues.some(q => q.length > 0)) {
+    for (const queue of queues) {
+      let next = queue.shift();
+      while (next && seen.has(next.id)) next = queue.shift();
+      if (!next) continue;
+      seen.add(next.id);
+      picked.push(next);
+      if (picked.length >= size) break;
+    }
+  }
+  return picked;
+}
+
+// Group one result list by each movie's main genre, keeping popularity order
+function byMainGenre(results) {
+  const groups = new Map();
+  for (const movie of results) {
+    const key = movie.genre_ids?.[0] ?? 'none';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(movie);
+  }
+  return [...groups.values()];
+}
+
+// Build a themed deck of up to size movies as [{ id, title, year }], in the
+// order they should be drawn. Empty when nothing matches (including a keyword
+// TMDB doesn't know).
+export async function buildThemedDeck(criteria, { size = 30, constraints = {}, tmdb = LIVE_TMDB } = {}) {
+  let keywordId = null;
+  if (criteria.keyword) {
+    keywordId = await tmdb.searchKeyword(criteria.keyword);
+    if (keywordId === null) return [];
+  }
+  // A keyword TMDB couldn't look up means TMDB is out of reach; go straight to the cache
+  const offline = keywordId === undefined;
+  const base = discoverParams(criteria, constraints, keywordId);
+
+  // One query per requested genre, so each gets its share of the deck
+  const genres = criteria.genres || [null];
+  const perGenre = Math.ceil(size / genres.length);
+  const lists = [];
+  for (const genre of genres) {
+    const params = genre ? { ...base, with_genres: String(GENRE_IDS[genre]) } : base;
+    const live = offline ? undefined : await discoverPages(params, tmdb.discover, perGenre * 2);
+    lists.push(live ?? discoverFromCache(params, criteria.keyword).results);
+  }
+
+  const groups = criteria.genres ? lists : byMainGenre(lists[0]);
+  return interleave(groups, size).map(m => ({
+    id: m.id,
+    title: m.title,
+    year: m.release_date?.split('-')[0] || null
+  }));
+}
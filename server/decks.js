@@ -0,0 +1,267 @@
+import { nanoid } from 'nanoid';
+import db from './db.js';
+import { fetchMovieDetails, searchMovie } from './tmdb.js';
+import { parseTitle } from './recommendations.js';
+import { constraintViolations } from './constraints.js';
+
+// Deck library: named lists of movies to swipe on, stored in SQLite. The
+// curated starter list ships as the built-in default deck. Decks anyone
+// creates come with an edit token, the same way sessions have a host token.
+
+export const DEFAULT_DECK_ID = 'default';
+export const MAX_DECK_SIZE = 200;
+const EXPORT_FORMAT = 'vibe-check-deck';
+
+// Curated movie list - TMDB IDs
+const DEFAULT_DECK_MOVIES = [
+  // Acclaimed crowd-pleasers
+  { id: 496243, title: "Parasite" },
+  { id: 545611, title: "Everything Everywhere All at Once" },
+  { id: 27205, title: "Inception" },
+  { id: 238, title: "The Godfather" },
+  { id: 155, title: "The Dark Knight" },
+  { id: 680, title: "Pulp Fiction" },
+  { id: 13, title: "Forrest Gump" },
+  { id: 550, title: "Fight Club" },
+  { id: 157336, title: "Interstellar" },
+  { id: 278, title: "The Shawshank Redemption" },
+
+  // Notable indie/arthouse
+  { id: 376867, title: "Moonlight" },
+  { id: 313369, title: "La La Land" },
+  { id: 398818, title: "Call Me by Your Name" },
+  { id: 381288, title: "Lady Bird" },
+  { id: 508442, title: "Soul" },
+  { id: 38757, title: "Whiplash" },
+  { id: 76203, title: "12 Years a Slave" },
+  { id: 68718, title: "Django Unchained" },
+
+  // Foreign cinema gems
+  { id: 4935, title: "Howl's Moving Castle" },
+  { id: 129, title: "Spirited Away" },
+  { id: 664, title: "Amélie" },
+  { id: 670, title: "Oldboy" },
+  { id: 598, title: "City of God" },
+  { id: 372058, title: "Your Name" },
+  { id: 346, title: "Seven Samurai" },
+  { id: 11360, title: "Life is Beautiful" },
+
+  // Recent hits
+  { id: 872585, title: "Oppenheimer" },
+  { id: 569094, title: "Spider-Man: Across the Spider-Verse" },
+  { id: 466420, title: "Killers of the Flower Moon" },
+  { id: 346698, title: "Barbie" },
+
+  // Cult classics & genre favorites
+  { id: 603, title: "The Matrix" },
+  { id: 120, title: "The Lord of the Rings: The Fellowship of the Ring" },
+  { id: 769, title: "GoodFellas" },
+  { id: 807, title: "Se7en" },
+  { id: 297802, title: "Arrival" },
+  { id: 264660, title: "Ex Machina" },
+  { id: 293660, title: "Deadpool" },
+  { id: 284053, title: "Thor: Ragnarok" },
+
+  // Horror/thriller
+  { id: 419430, title: "Get Out" },
+  { id: 493922, title: "Hereditary" },
+  { id: 310131, title: "The Witch" },
+  { id: 458220, title: "A Quiet Place" },
+  { id: 539681, title: "Midsommar" },
+
+  // Comedy
+  { id: 353486, title: "The Grand Budapest Hotel" },
+  { id: 22538, title: "Scott Pilgrim vs. the World" },
+  { id: 515001, title: "Jojo Rabbit" },
+  { id: 466272, title: "Once Upon a Time in Hollywood" }
+]
+
+// Install the built-in deck. Existing databases keep whatever is already there.
+export function seedDefaultDeck() {
+  db.prepare('INSERT OR IGNORE INTO decks (id, name, description, movies) VALUES (?, ?, ?, ?)').run(
+    DEFAULT_DECK_ID,
+    'curated mix',
+    'acclaimed crowd-pleasers, arthouse, world cinema, recent hits and cult favorites',
+    JSON.stringify(DEFAULT_DECK_MOVIES)
+  );
+}
+
+function rowToDeck(row) {
+  const movies = JSON.parse(row.movies);
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    builtIn: row.token === null,
+    size: movies.length,
+    movies,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Every deck without its movie list, built-in decks first
+export function listDecks() {
+  return db.prepare('SELECT * FROM decks ORDER BY token IS NOT NULL, created_at').all()
+    .map(row => {
+      const { movies, ...deck } = rowToDeck(row);
+      return deck;
+    });
+}
+
+export function getDeck(id) {
+  const row = db.prepare('SELECT * FROM decks WHERE id = ?').get(id);
+  return row ? rowToDeck(row) : null;
+}
+
+// Check a deck's edit token. Built-in decks can't be edited at all.
+export function canEditDeck(id, token) {
+  const row = db.prepare('SELECT token FROM decks WHERE id = ?').get(id);
+  return Boolean(row?.token && token && row.token === token);
+}
+
+// Validate a create/update body: { name, description, movieIds, titles }.
+// With partial, missing fields are left alone. Returns the fields or { error }.
+export function parseDeckInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 60) : '';
+    if (!name) return { error: 'Deck name is required' };
+    fields.name = name;
+  }
+  if (body.description !== undefined) {
+    fields.description = typeof body.description === 'string' ? body.description.trim().slice(0, 200) : '';
+  }
+  if (body.movieIds !== undefined || body.titles !== undefined || !partial) {
+    const movieIds = body.movieIds ?? [];
+    const titles = body.titles ?? [];
+    if (!Array.isArray(movieIds) || !movieIds.every(id => Number.isInteger(id) && id > 0)) {
+      return { error: 'movieIds must be a list of TMDB ids' };
+    }
+    if (!Array.isArray(titles) || !titles.every(t => typeof t === 'string')) {
+      return { error: 'titles must be a list of movie titles' };
+    }
+    const cleanTitles = titles.map(t => t.trim()).filter(Boolean);
+    if (movieIds.length + cleanTitles.length === 0) return { error: 'A deck needs at least one movie' };
+    if (movieIds.length + cleanTitles.length > MAX_DECK_SIZE) {
+      return { error: `Decks can hold up to ${MAX_DECK_SIZE} movies` };
+    }
+    fields.movieIds = movieIds;
+    fields.titles = cleanTitles;
+  }
+  return fields;
+}
+
+// Turn TMDB ids and "Title (Year)" searches into deck entries. Anything that
+// can't be found (in the cache or on TMDB) comes back in unresolved.
+export async function resolveDeckMovies({ movieIds = [], titles = [] }) {
+  const movies = [];
+  const unresolved = [];
+  const seen = new Set();
+  const add = (movie) => {
+    if (seen.has(movie.id)) return;
+    seen.add(movie.id);
+    movies.push({ id: movie.id, title: movie.title, year: movie.year ?? null });
+  };
+
+  for (const id of movieIds) {
+    const movie = await fetchMovieDetails(id);
+    if (movie) add(movie);
+    else unresolved.push(String(id));
+  }
+  for (const item of titles) {
+    const { title, year } = parseTitle(item);
+    const movie = await searchMovie(title, year);
+    if (movie) add(movie);
+    else unresolved.push(item);
+  }
+  return { movies, unresolved };
+}
+
+// Store a new deck. Returns it with the token needed to edit it later.
+export function createDeck({ name, description = '', movies }) {
+  const id = nanoid(8);
+  const token = nanoid(24);
+  db.prepare('INSERT INTO decks (id, name, description, movies, token) VALUES (?, ?, ?, ?, ?)')
+    .run(id, name, description, JSON.stringify(movies), token);
+  return { deck: getDeck(id), deckToken: token };
+}
+
+export function updateDeck(id, { name, description, movies }) {
+  const current = getDeck(id);
+  db.prepare('UPDATE decks SET name = ?, description = ?, movies = ?, updated_at = unixepoch() WHERE id = ?').run(
+    name ?? current.name,
+    description ?? current.description,
+    JSON.stringify(movies ?? current.movies),
+    id
+  );
+  return getDeck(id);
+}
+
+export function deleteDeck(id) {
+  db.prepare('DELETE FROM decks WHERE id = ?').run(id);
+}
+
+// Portable JSON for sharing a deck between installs
+export function exportDeck(deck) {
+  return {
+    format: EXPORT_FORMAT,
+    version: 1,
+    name: deck.name,
+    description: deck.description,
+    movies: deck.movies.map(m => ({ id: m.id, title: m.title, year: m.year }))
+  };
+}
+
+// Read an exported deck back into create fields. Entries with a TMDB id are
+// looked up by id, anything else by "Title (Year)".
+export function parseDeckImport(data) {
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.movies)) {
+    return { error: 'Not a deck export file' };
+  }
+  const movieIds = [];
+  const titles = [];
+  for (const entry of data.movies) {
+    if (Number.isInteger(entry?.id) && entry.id > 0) movieIds.push(entry.id);
+    else if (typeof entry?.title === 'string') titles.push(entry.year ? `${entry.title} (${entry.year})` : entry.title);
+  }
+  return parseDeckInput({ name: data.name, description: data.description, movieIds, titles });
+}
+
+function shuffle(list) {
+  return [...list].sort(() => Math.random() - 0.5);
+}
+
+// Draw quiz movies from one or more lists of deck entries. Lists take turns so
+// a mix gets movies from each; anything breaking the session's constraints is
+// skipped. With shuffle off, each list is drawn in its own order. Movies in
+// avoid (ids) are only used if the deck would come up short without them.
+export async function drawQuizMovies(lists, count = 15, constraints = {}, { shuffle: shuffled = true, avoid = new Set() } = {}) {
+  const ordered = lists.map(list => shuffled ? shuffle(list) : [...list]);
+  const picked = [];
+  const seen = new Set();
+
+  const draw = async (skipAvoided) => {
+    const queues = ordered.map(list => list.filter(entry => !seen.has(entry.id) && !(skipAvoided && avoid.has(entry.id))));
+    while (picked.length < count && queues.some(q => q.length > 0)) {
+      for (const queue of queues) {
+        if (picked.length >= count) break;
+        const entry = queue.shift();
+        if (!entry || seen.has(entry.id)) continue;
+        seen.add(entry.id);
+        const movie = await fetchMovieDetails(entry.id);
+        if (movie && constraintViolations(movie, constraints).length === 0) picked.push(movie);
+      }
+    }
+  };
+
+  await draw(avoid.size > 0);
+  if (picked.length < count && avoid.size > 0) await draw(false);
+  return picked;
+}
+
+// Pick quiz movies from library decks
+export function pickQuizMovies(deckIds, count = 15, constraints = {}, options = {}) {
+  const lists = deckIds.map(id => getDeck(id)).filter(Boolean).map(deck => deck.movies);
+  return drawQuizMovies(lists, count, constraints, options);
+}
@@ -3,11 +3,35 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
-import Database from 'better-sqlite3';
-import { nanoid } from 'nanoid';
+import { nanoid, customAlphabet } from 'nanoid';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import db from './db.js';
+import { seedMovieCache } from './tmdb.js';
+import { computeConsensus, outcomeGenreBias, STRATEGIES } from './scoring.js';
+import { computeSimilarity } from './similarity.js';
+import { resolveRecommendations, buildExclusions, excludeMovies, parseTitle } from './recommendations.js';
+import { callAI } from './ai.js';
+import { BALLOT_METHODS, tallyBallots } from './ballot.js';
+import { parseConstraints, mergeConstraints, describeConstraints } from './constraints.js';
+import { addAvailability, isOnServices, parseStreamingSettings, defaultWatchRegion } from './availability.js';
+import {
+  DEFAULT_DECK_ID, seedDefaultDeck, listDecks, getDeck, canEditDeck, parseDeckInput, parseDeckImport,
+  resolveDeckMovies, createDeck, updateDeck, deleteDeck, exportDeck, pickQuizMovies, drawQuizMovies
+} from './decks.js';
+import { parseDeckCriteria, describeCriteria, buildThemedDeck } from './deckBuilder.js';
+import { DECK_MODES, ADAPTIVE_QUIZ_LENGTH, ADAPTIVE_POOL_SIZE, chooseNextCard } from './adaptive.js';
+import {
+  createProfile, authenticateProfile, recordProfileVote, getProfileVotes, forgetProfileVote, deleteProfile,
+  getTasteModel, describeTaste
+} from './profiles.js';
+import {
+  createCrew, getCrew, canManageCrew, saveCrewSettings, recordWatch, getWatchForSession, clearWatch, rateWatch,
+  parseRatings, getCrewHistory, getCrewStats, deleteWatch, describeHistory
+} from './crews.js';
+import { archiveSession, getArchivedSession, pruneArchive } from './archive.js';
+import { parseResults, parsePartialResults, salvageResults } from './resultsSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,14 +42,12 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 // Environment
 const IS_PROD = process.env.NODE_ENV === 'production';
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS?.split(',') || ['*'];
-
-// API Keys
-const TMDB_API_KEY = process.env.TMDB_API_KEY;
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
-const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/w500';
-
-const AI_MODEL = process.env.AI_MODEL || 'hf:moonshotai/Kimi-K2-Instruct-0905';
-const SYNTHETIC_API = 'https://api.synthetic.new/v1/chat/completions';
+// How long sessions last: SESSION_RETENTION_HOURS by default, or
+// PINNED_RETENTION_DAYS when the host pins the results. Archived results are
+// kept for ARCHIVE_RETENTION_DAYS after that.
+const SESSION_RETENTION_HOURS = Number(process.env.SESSION_RETENTION_HOURS) || 24;
+const PINNED_RETENTION_DAYS = Number(process.env.PINNED_RETENTION_DAYS) || 30;
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 90;
 
 const app = express();
 const httpServer = createServer(app);
@@ -42,10 +64,25 @@ app.use(cors({
 }));
 app.use(express.json());
 
-// Rate limiting
+// Rate limiting. Swiping saves every vote as its own request, and a group on
+// one home network shares an IP, so the quiz routes are limited per
+// participant instead of counting against the IP-wide limit.
+const QUIZ_ROUTE = /^\/session\/[^/]+\/(cards|vote|answers)$/;
+
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // 100 requests per window per IP
+  skip: (req) => QUIZ_ROUTE.test(req.path),
+  message: { error: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Runs after requireParticipant, so the key is an authenticated participant
+const quizLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // 300 requests per window per participant
+  keyGenerator: (req, res) => res.locals.participant.id,
   message: { error: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false
@@ -57,6 +94,24 @@ const createSessionLimiter = rateLimit({
   message: { error: 'Too many sessions created, please try again later.' }
 });
 
+const createDeckLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 decks created or imported per hour per IP
+  message: { error: 'Too many decks created, please try again later.' }
+});
+
+const createProfileLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 profiles per hour per IP
+  message: { error: 'Too many profiles created, please try again later.' }
+});
+
+const createCrewLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 crews per hour per IP
+  message: { error: 'Too many crews created, please try again later.' }
+});
+
 app.use('/api/', apiLimiter);
 
 // Health check endpoint
@@ -77,181 +132,111 @@ function sanitize(str) {
     .slice(0, 50); // Max 50 chars for names
 }
 
-// SQLite setup
-const db = new Database(path.join(__dirname, 'movies.db'));
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS sessions (
-    id TEXT PRIMARY KEY,
-    status TEXT DEFAULT 'lobby',
-    host_name TEXT,
-    results TEXT,
-    created_at INTEGER DEFAULT (unixepoch())
-  );
-
-  CREATE TABLE IF NOT EXISTS participants (
-    id TEXT PRIMARY KEY,
-    session_id TEXT NOT NULL,
-    name TEXT NOT NULL,
-    answers TEXT,
-    completed INTEGER DEFAULT 0,
-    created_at INTEGER DEFAULT (unixepoch()),
-    FOREIGN KEY (session_id) REFERENCES sessions(id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_session ON participants(session_id);
-`);
+// Session cleanup - delete sessions once they expire. Finished results are
+// archived first, so results links outlive the raw answers.
+const cleanupExpiredSessions = db.transaction((cutoff, now) => {
+  const expired = 'SELECT id FROM sessions WHERE created_at < ? AND (pinned_until IS NULL OR pinned_until < ?)';
+  for (const session of db.prepare(`SELECT * FROM sessions WHERE id IN (${expired}) AND results IS NOT NULL`).all(cutoff, now)) {
+    const { results, ...summary } = publicSession(session);
+    archiveSession(session, {
+      ...summary,
+      participants: listParticipants(session.id).map(p => ({ name: p.name, completed: p.completed }))
+    });
+  }
+  db.prepare(`DELETE FROM participants WHERE session_id IN (${expired})`).run(cutoff, now);
+  db.prepare(`DELETE FROM result_versions WHERE session_id IN (${expired})`).run(cutoff, now);
+  // A crew's watch history outlives its sessions; a one-off session's doesn't
+  db.prepare(`DELETE FROM watch_history WHERE crew_id IS NULL AND session_id IN (${expired})`).run(cutoff, now);
+  return db.prepare(`DELETE FROM sessions WHERE id IN (${expired})`).run(cutoff, now).changes;
+});
 
-// Session cleanup - delete sessions older than 24 hours
 function cleanupOldSessions() {
-  const cutoff = Math.floor(Date.now() / 1000) - (24 * 60 * 60); // 24 hours ago
+  const now = Math.floor(Date.now() / 1000);
   try {
-    const deleted = db.prepare('DELETE FROM participants WHERE session_id IN (SELECT id FROM sessions WHERE created_at < ?)').run(cutoff);
-    const deletedSessions = db.prepare('DELETE FROM sessions WHERE created_at < ?').run(cutoff);
-    if (deletedSessions.changes > 0) {
-      console.log(`Cleaned up ${deletedSessions.changes} old sessions`);
+    const deleted = cleanupExpiredSessions(now - SESSION_RETENTION_HOURS * 60 * 60, now);
+    if (deleted > 0) {
+      console.log(`Cleaned up ${deleted} old sessions`);
+    }
+    const pruned = pruneArchive(now - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60);
+    if (pruned > 0) {
+      console.log(`Pruned ${pruned} archived results`);
     }
   } catch (err) {
     console.error('Session cleanup failed:', err);
   }
 }
 
+// Jobs don't survive a restart, so let hosts retry anything left mid-generation.
+// An interrupted regeneration falls back to the results it was replacing.
+db.prepare(`UPDATE sessions SET status = CASE WHEN results IS NULL THEN 'failed' ELSE 'complete' END,
+  results_error = ? WHERE status = 'generating'`)
+  .run('Server restarted while generating results');
+
 // Run cleanup on startup and every hour
 cleanupOldSessions();
 setInterval(cleanupOldSessions, 60 * 60 * 1000);
 
-// Curated movie list - TMDB IDs
-const CURATED_MOVIES = [
-  // Acclaimed crowd-pleasers
-  { id: 496243, title: "Parasite" },
-  { id: 545611, title: "Everything Everywhere All at Once" },
-  { id: 27205, title: "Inception" },
-  { id: 238, title: "The Godfather" },
-  { id: 155, title: "The Dark Knight" },
-  { id: 680, title: "Pulp Fiction" },
-  { id: 13, title: "Forrest Gump" },
-  { id: 550, title: "Fight Club" },
-  { id: 157336, title: "Interstellar" },
-  { id: 278, title: "The Shawshank Redemption" },
-
-  // Notable indie/arthouse
-  { id: 376867, title: "Moonlight" },
-  { id: 313369, title: "La La Land" },
-  { id: 398818, title: "Call Me by Your Name" },
-  { id: 381288, title: "Lady Bird" },
-  { id: 508442, title: "Soul" },
-  { id: 38757, title: "Whiplash" },
-  { id: 76203, title: "12 Years a Slave" },
-  { id: 68718, title: "Django Unchained" },
-
-  // Foreign cinema gems
-  { id: 4935, title: "Howl's Moving Castle" },
-  { id: 129, title: "Spirited Away" },
-  { id: 664, title: "Amélie" },
-  { id: 670, title: "Oldboy" },
-  { id: 598, title: "City of God" },
-  { id: 372058, title: "Your Name" },
-  { id: 346, title: "Seven Samurai" },
-  { id: 11360, title: "Life is Beautiful" },
-
-  // Recent hits
-  { id: 872585, title: "Oppenheimer" },
-  { id: 569094, title: "Spider-Man: Across the Spider-Verse" },
-  { id: 466420, title: "Killers of the Flower Moon" },
-  { id: 346698, title: "Barbie" },
-
-  // Cult classics & genre favorites
-  { id: 603, title: "The Matrix" },
-  { id: 120, title: "The Lord of the Rings: The Fellowship of the Ring" },
-  { id: 769, title: "GoodFellas" },
-  { id: 807, title: "Se7en" },
-  { id: 297802, title: "Arrival" },
-  { id: 264660, title: "Ex Machina" },
-  { id: 293660, title: "Deadpool" },
-  { id: 284053, title: "Thor: Ragnarok" },
-
-  // Horror/thriller
-  { id: 419430, title: "Get Out" },
-  { id: 493922, title: "Hereditary" },
-  { id: 310131, title: "The Witch" },
-  { id: 458220, title: "A Quiet Place" },
-  { id: 539681, title: "Midsommar" },
-
-  // Comedy
-  { id: 353486, title: "The Grand Budapest Hotel" },
-  { id: 22538, title: "Scott Pilgrim vs. the World" },
-  { id: 515001, title: "Jojo Rabbit" },
-  { id: 466272, title: "Once Upon a Time in Hollywood" }
-];
-
-// Fetch movie details from TMDB
-async function fetchMovieDetails(tmdbId) {
-  if (!TMDB_API_KEY) {
-    console.error('TMDB_API_KEY not set');
-    return null;
-  }
-  try {
-    const res = await fetch(`${TMDB_BASE_URL}/movie/${tmdbId}?api_key=${TMDB_API_KEY}`);
-    const data = await res.json();
-    return {
-      id: data.id,
-      title: data.title,
-      year: data.release_date?.split('-')[0],
-      poster: data.poster_path ? `${TMDB_IMAGE_BASE}${data.poster_path}` : null,
-      overview: data.overview,
-      genres: data.genres?.map(g => g.name) || [],
-      rating: data.vote_average,
-      runtime: data.runtime
-    };
-  } catch (err) {
-    console.error('TMDB fetch error:', err);
-    return null;
-  }
+// Make sure curated movie metadata is available even without TMDB
+const seeded = seedMovieCache();
+if (seeded > 0) {
+  console.log(`Seeded movie cache with ${seeded} movies`);
 }
-
-// Get random movies for quiz
-async function getMoviesForQuiz(count = 15) {
-  const shuffled = [...CURATED_MOVIES].sort(() => Math.random() - 0.5);
-  const selected = shuffled.slice(0, count);
-  const movies = await Promise.all(selected.map(m => fetchMovieDetails(m.id)));
-  return movies.filter(m => m !== null);
+seedDefaultDeck();
+if (!process.env.TMDB_API_KEY) {
+  console.warn('TMDB_API_KEY not set, serving movies from the local cache only');
 }
 
-// Call AI API
-async function callAI(messages, maxTokens = 1500) {
-  const apiKey = process.env.SYNTHETIC_API_KEY;
-  if (!apiKey) {
-    console.error('SYNTHETIC_API_KEY not set');
-    return null;
-  }
-  try {
-    const res = await fetch(SYNTHETIC_API, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: AI_MODEL,
-        messages,
-        max_tokens: maxTokens,
-        temperature: 0.8
-      })
-    });
-    const data = await res.json();
-    return data.choices?.[0]?.message?.content || null;
-  } catch (err) {
-    console.error('AI API error:', err);
-    return null;
+// Pick the quiz movies from library decks ({ deckIds }) or from a themed deck
+// built from TMDB discover ({ theme }). Themed decks are already balanced
+// across genres, so they're drawn in order. Movies in avoid are only used to
+// fill a deck that would otherwise come up short.
+async function getMoviesForQuiz({ deckIds = [DEFAULT_DECK_ID], theme }, count = 15, constraints = {}, avoid = new Set()) {
+  if (theme) {
+    const themed = await buildThemedDeck(theme, { size: count * 2, constraints });
+    return drawQuizMovies([themed], count, constraints, { shuffle: false, avoid });
   }
+  return pickQuizMovies(deckIds, count, constraints, { avoid });
 }
 
-// Generate movie recommendations
-async function generateResults(participants) {
+// Generate movie recommendations. onPartial, if given, receives the group
+// summary and recommendations as the first AI response streams in; the
+// returned results go through the same validation either way.
+// For a regeneration, revision carries the previous results and the host's
+// feedback ({ previous, feedback, constraints }).
+async function generateResults(participants, {
+  sessionId,
+  deck,
+  allowRewatches = false,
+  scoring = 'veto',
+  constraints: sessionConstraints = {},
+  streaming,
+  crewHistory = [],
+  onPartial,
+  revision
+} = {}) {
   const participantData = participants.map(p => ({
     name: p.name,
     answers: JSON.parse(p.answers || '{}')
   }));
+  // Returning participants bring their taste and seen films from earlier sessions
+  const returning = participants
+    .filter(p => p.profile_id)
+    .map(p => ({ name: p.name, taste: getTasteModel(p.profile_id) }));
+  const history = returning.map(r => ({
+    answers: Object.fromEntries(r.taste.seen.map(v => [v.movieId, { movieId: v.movieId, title: v.title, vote: v.vote }]))
+  }));
+  // A crew never gets a movie it has already watched together, rewatches or not
+  const exclusions = excludeMovies(buildExclusions([...participantData, ...history], { allowRewatches }), crewHistory);
+  const historyLines = describeHistory(crewHistory);
+  const crewStats = getCrewStats(crewHistory);
+  const tasteLines = returning.map(r => describeTaste(r.name, r.taste)).filter(Boolean);
+  const constraints = mergeConstraints(sessionConstraints, revision?.constraints);
+  const limits = describeConstraints(constraints);
+
+  // Computed scores are always included, the AI writeup is layered on top
+  // Past movie nights nudge the computed ranking towards genres that landed
+  const consensus = computeConsensus(participantData, deck, scoring, { genreBias: outcomeGenreBias(crewHistory) });
+  const similarity = computeSimilarity(participantData);
 
   const systemPrompt = `You analyze movie swipe data and recommend films for a group.
 
@@ -268,9 +253,26 @@ Based on patterns in what they loved vs passed, recommend 5 movies they should w
 GUIDELINES:
 - Find patterns (genre, era, tone, director style)
 - Recommend films that match the overlap in tastes
-- DON'T just recommend movies they already loved
+- DON'T recommend any movie they already rated or watched together, today or in earlier sessions: ${[...exclusions.titles.values()].join(', ') || 'none'}${allowRewatches ? `
+- Movies someone marked "love" may be suggested as a rewatch if they fit perfectly` : ''}
 - Be adventurous - include indie, foreign, documentaries, cult classics
-- Each recommendation needs a specific reason tied to their patterns
+- Each recommendation needs a specific reason tied to their patterns${tasteLines.length ? `
+
+RETURNING MEMBERS - long-term taste from earlier sessions (weigh it alongside today's swipes):
+${tasteLines.map(line => `- ${line}`).join('\n')}` : ''}${historyLines.length ? `
+
+PAST MOVIE NIGHTS - what this group picked before and how they rated it out of 5 (never recommend these again; lean towards what went down well and away from the misses):
+${historyLines.map(line => `- ${line}`).join('\n')}${crewStats.rated ? `
+${crewStats.hits} of ${crewStats.rated} rated picks were hits (4/5 or better)` : ''}` : ''}${limits.length ? `
+
+HARD LIMITS set by the host (every recommendation, group and personal, must meet all of them):
+${limits.map(line => `- ${line}`).join('\n')}` : ''}${revision ? `
+
+The group already saw these recommendations:
+${revision.previous.recommendations.map(r => `${r.rank}. ${r.item}: ${r.reason}`).join('\n')}
+
+The host asked for changes: ${describeRevision(revision, revision.previous)}
+Follow that request. Keep earlier picks only if they still fit it.` : ''}
 
 Output JSON:
 {
@@ -287,47 +289,652 @@ Output JSON:
   ]
 }`;
 
-  const result = await callAI([
+  const messages = [
     { role: 'system', content: systemPrompt },
     { role: 'user', content: 'Analyze the swipe data and recommend movies.' }
-  ], 2000);
+  ];
+  const aiContext = {
+    task: 'results',
+    participants: participantData,
+    consensus,
+    exclude: [...exclusions.titles.values()],
+    constraints,
+    ...(revision && {
+      previous: revision.previous.recommendations,
+      feedback: revision.feedback
+    })
+  };
+
+  // Only report a partial when something new has finished arriving
+  let sentSummary = false;
+  let sentRecs = 0;
+  const onDelta = onPartial && ((text) => {
+    const partial = parsePartialResults(text);
+    const recs = partial.recommendations || [];
+    if (Boolean(partial.group_summary) === sentSummary && recs.length === sentRecs) return;
+    sentSummary = Boolean(partial.group_summary);
+    sentRecs = recs.length;
+    onPartial({ group_summary: partial.group_summary, recommendations: recs, consensus, similarity });
+  });
+  const result = await callAI(messages, 2000, aiContext, { onDelta });
+
+  const topPick = consensus.watch_tonight[0];
+  const fallbackSummary = topPick
+    ? `AI analysis unavailable. Your group's top pick from the deck is ${topPick.title}.`
+    : 'Could not generate recommendations. Check server configuration.';
+  const warnings = [];
+
+  // A regeneration replaces the current results only with a real answer.
+  // Throwing fails the job, which leaves the previous version in place.
+  if (revision && !result) {
+    throw new Error('AI analysis unavailable');
+  }
 
+  let narrative;
   if (!result) {
-    return {
-      group_summary: 'Could not generate recommendations. Check server configuration.',
-      recommendations: [],
-      individual_writeups: participantData.map(p => ({
-        name: p.name,
-        taste_summary: 'Analysis unavailable',
-        personal_recs: []
-      }))
-    };
+    warnings.push('AI analysis unavailable; showing computed results only');
+    narrative = { group_summary: fallbackSummary, recommendations: [], individual_writeups: [] };
+  } else {
+    let { data, errors } = parseResults(result);
+
+    // One repair pass: show the model its output and what was wrong with it
+    if (errors.length > 0) {
+      console.warn(`Session ${sessionId}: AI results failed validation: ${errors.join('; ')}`);
+      const repaired = await callAI([
+        ...messages,
+        { role: 'assistant', content: result },
+        {
+          role: 'user',
+          content: `That response doesn't match the required JSON format:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReply with only the corrected JSON.`
+        }
+      ], 2000, aiContext);
+      const second = parseResults(repaired);
+      if (second.errors.length === 0 || second.errors.length < errors.length) {
+        ({ data, errors } = second);
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn(`Session ${sessionId}: AI results still invalid after repair: ${errors.join('; ')}`);
+      if (revision) {
+        throw new Error(`AI response invalid: ${errors.join('; ')}`);
+      }
+      warnings.push(...errors.map(e => `AI response invalid: ${e}`));
+      narrative = salvageResults(data, fallbackSummary);
+    } else {
+      narrative = data;
+    }
   }
 
-  try {
-    const jsonMatch = result.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+  // Everyone who finished gets a writeup, even if the model skipped them
+  const writtenUp = new Set(narrative.individual_writeups.map(w => w.name));
+  for (const p of participantData) {
+    if (writtenUp.has(p.name)) continue;
+    if (result) warnings.push(`No writeup generated for ${p.name}`);
+    narrative.individual_writeups.push({ name: p.name, taste_summary: 'Analysis unavailable', personal_recs: [] });
+  }
+
+  // Swap the model's free-text titles for real movies where we can find them
+  narrative = await resolveRecommendations(narrative, {
+    callAI: result ? callAI : undefined,
+    exclusions,
+    constraints,
+    // In filter mode only movies on the group's services survive (and get topped up)
+    accept: streaming?.mode === 'filter' && streaming.services.length
+      ? (rec) => isOnServices(rec, streaming)
+      : undefined
+  });
+  if (streaming) {
+    narrative = await addAvailability(narrative, streaming);
+    if (streaming.mode === 'filter' && streaming.services.length && narrative.recommendations.length === 0) {
+      warnings.push("None of the recommendations are streaming on the group's services");
+    }
+  }
+
+  // Closest matches come from the vote data, not the model
+  const closestByName = new Map(similarity.matches.map(m => [m.name, m.closest?.name]));
+  const individual_writeups = (narrative.individual_writeups || []).map(w => ({
+    ...w,
+    most_similar_to: closestByName.get(w.name) || null
+  }));
+
+  return {
+    ...narrative,
+    individual_writeups,
+    consensus,
+    similarity,
+    warnings,
+    update_reason: revision ? describeRevision(revision, revision.previous) : null
+  };
+}
+
+// Human-readable summary of a regeneration request, e.g.
+// "more like Arrival; nothing over 2h"
+function describeRevision({ feedback, constraints = {} }, previous) {
+  const parts = [];
+  if (feedback) parts.push(feedback);
+  if (constraints.moreLike) {
+    const rec = previous.recommendations.find(r => r.rank === constraints.moreLike);
+    if (rec) parts.push(`more like ${rec.title || rec.item}`);
+  }
+  if (constraints.maxRuntime) {
+    const hours = Math.floor(constraints.maxRuntime / 60);
+    const mins = constraints.maxRuntime % 60;
+    parts.push(`nothing over ${hours ? `${hours}h` : ''}${mins ? `${mins}m` : ''}`);
+  }
+  return parts.join('; ');
+}
+
+// Validate the host's regeneration request. Returns { feedback, constraints }
+// or { error }.
+function parseRevisionRequest(body = {}, previous) {
+  const feedback = typeof body.feedback === 'string' ? body.feedback.trim().slice(0, 300) : '';
+  const constraints = {};
+  const { moreLike, maxRuntime } = body.constraints || {};
+  if (moreLike !== undefined && moreLike !== null) {
+    if (!previous.recommendations.some(r => r.rank === moreLike)) {
+      return { error: 'moreLike must be the rank of a current recommendation' };
+    }
+    constraints.moreLike = moreLike;
+  }
+  if (maxRuntime !== undefined && maxRuntime !== null) {
+    if (!Number.isInteger(maxRuntime) || maxRuntime < 30 || maxRuntime > 600) {
+      return { error: 'maxRuntime must be between 30 and 600 minutes' };
+    }
+    constraints.maxRuntime = maxRuntime;
+  }
+  if (!feedback && Object.keys(constraints).length === 0) {
+    return { error: 'Tell us what to change' };
+  }
+  return { feedback, constraints };
+}
+
+// Store finished results as the session's next version and make them current
+const saveResultsVersion = db.transaction((sessionId, results) => {
+  const { n } = db.prepare('SELECT COALESCE(MAX(version), 0) AS n FROM result_versions WHERE session_id = ?').get(sessionId);
+  const versioned = { ...results, version: n + 1 };
+  db.prepare('INSERT INTO result_versions (session_id, version, results, update_reason) VALUES (?, ?, ?, ?)')
+    .run(sessionId, versioned.version, JSON.stringify(versioned), versioned.update_reason);
+  db.prepare("UPDATE sessions SET results = ?, status = 'complete' WHERE id = ? AND status = 'generating'")
+    .run(JSON.stringify(versioned), sessionId);
+  return versioned;
+});
+
+// Load the deck chosen for a session, or null if the quiz hasn't started
+function getSessionDeck(session) {
+  return session.deck ? JSON.parse(session.deck) : null;
+}
+
+// How many cards each participant swipes on. In adaptive mode the deck is a
+// pool to deal from, so it's longer than the quiz.
+function getQuizLength(session) {
+  const deck = getSessionDeck(session);
+  if (!deck) return 0;
+  return session.deck_mode === 'adaptive' ? Math.min(ADAPTIVE_QUIZ_LENGTH, deck.length) : deck.length;
+}
+
+// The deck movies that were actually in play: all of them, or in adaptive
+// mode only the cards someone was dealt
+function getPlayedDeck(session) {
+  const deck = getSessionDeck(session);
+  if (!deck || session.deck_mode !== 'adaptive') return deck;
+  const dealt = new Set(
+    db.prepare('SELECT cards FROM participants WHERE session_id = ?').all(session.id)
+      .flatMap(p => JSON.parse(p.cards || '[]'))
+  );
+  return deck.filter(m => dealt.has(m.id));
+}
+
+// A participant's cards so far. In adaptive mode, once they've answered every
+// card they hold, the next one is picked from everyone's answers and dealt.
+const dealCards = db.transaction((session, participantId) => {
+  const deck = getSessionDeck(session);
+  if (session.deck_mode !== 'adaptive') return deck;
+
+  const participant = db.prepare('SELECT cards, answers, profile_id FROM participants WHERE id = ?').get(participantId);
+  const served = JSON.parse(participant.cards || '[]');
+  const answers = JSON.parse(participant.answers || '{}');
+
+  if (served.every(id => answers[id]) && served.length < getQuizLength(session)) {
+    const othersAnswers = db.prepare('SELECT answers FROM participants WHERE session_id = ? AND id != ?')
+      .all(session.id, participantId)
+      .map(p => JSON.parse(p.answers || '{}'));
+    // A returning participant's profile skips films they've rated before
+    const taste = participant.profile_id ? getTasteModel(participant.profile_id) : null;
+    const next = chooseNextCard(deck, served, answers, othersAnswers, taste ? {
+      known: new Set(taste.seen.map(v => v.movieId)),
+      prior: taste.genres
+    } : {});
+    if (next) {
+      served.push(next.id);
+      db.prepare('UPDATE participants SET cards = ? WHERE id = ?').run(JSON.stringify(served), participantId);
     }
-    return { group_summary: 'Analysis pending', recommendations: [], individual_writeups: [] };
+  }
+  const byId = new Map(deck.map(m => [m.id, m]));
+  return served.map(id => byId.get(id));
+});
+
+// Session settings that shape result generation
+function getGenerationOptions(session) {
+  return {
+    sessionId: session.id,
+    deck: getPlayedDeck(session),
+    allowRewatches: Boolean(session.allow_rewatches),
+    scoring: session.scoring || 'veto',
+    constraints: JSON.parse(session.constraints || '{}'),
+    streaming: getStreamingSettings(session),
+    crewHistory: session.crew_id ? getCrewHistory(session.crew_id).filter(w => w.sessionId !== session.id) : []
+  };
+}
+
+// Where the group watches; without settings, availability is still looked up
+// for the default region
+function getStreamingSettings(session) {
+  return JSON.parse(session.streaming || 'null') || { region: defaultWatchRegion(), services: [], mode: 'rank' };
+}
+
+// Short codes for reclaiming your seat on another device (no 0/O/1/I to misread)
+const rejoinCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 6);
+
+// Add a participant with their secret token and a rejoin code unique to the session
+function createParticipant(sessionId, name, participantId = nanoid(8), profileId = null) {
+  const token = nanoid(24);
+  let code = rejoinCode();
+  while (db.prepare('SELECT 1 FROM participants WHERE session_id = ? AND rejoin_code = ?').get(sessionId, code)) {
+    code = rejoinCode();
+  }
+  db.prepare('INSERT INTO participants (id, session_id, name, token, rejoin_code, profile_id) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(participantId, sessionId, name, token, code, profileId);
+  return { participantId, participantToken: token, rejoinCode: code };
+}
+
+// Result generation runs as a background job. The session status doubles as
+// the lock: collecting -> generating -> complete | failed, and a host retry
+// moves failed -> generating. A regeneration moves complete -> generating
+// and back to complete, keeping the old results if it fails. The conditional
+// UPDATE means only one caller can ever start a given session's job.
+function startResultsJob(sessionId, fromStatus = 'collecting', revision = null) {
+  const claimed = db.prepare("UPDATE sessions SET status = 'generating', results_error = NULL WHERE id = ? AND status = ?")
+    .run(sessionId, fromStatus);
+  if (claimed.changes === 0) return false;
+
+  io.to(`session:${sessionId}`).emit('results_generating', { regenerating: Boolean(revision) });
+  runResultsJob(sessionId, revision);
+  return true;
+}
+
+async function runResultsJob(sessionId, revision) {
+  try {
+    const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+    const participants = db.prepare('SELECT * FROM participants WHERE session_id = ? AND completed = 1').all(sessionId);
+    const results = await generateResults(participants, {
+      ...getGenerationOptions(session),
+      onPartial: (partial) => io.to(`session:${sessionId}`).emit('results_partial', { results: partial }),
+      revision
+    });
+    const saved = saveResultsVersion(sessionId, results);
+    console.log(`Emitting results_ready to session:${sessionId}`);
+    io.to(`session:${sessionId}`).emit('results_ready', { results: saved });
   } catch (err) {
-    console.error('Failed to parse results:', err);
-    return { group_summary: 'Analysis generated', recommendations: [], individual_writeups: [] };
+    console.error(`Result generation failed for session ${sessionId}:`, err);
+    db.prepare("UPDATE sessions SET status = ?, results_error = ? WHERE id = ?")
+      .run(revision ? 'complete' : 'failed', err.message, sessionId);
+    io.to(`session:${sessionId}`).emit('results_failed', {
+      error: revision ? 'Could not regenerate results' : 'Could not generate results'
+    });
+  }
+}
+
+// Strip secrets (and the bulky deck) before sending a session row to clients
+function publicSession(session) {
+  const { host_token, deck, final_vote, constraints, streaming, deck_ids, deck_theme, crew_id, ...rest } = session;
+  const theme = deck_theme ? JSON.parse(deck_theme) : null;
+  const crew = session.crew_id && getCrew(session.crew_id);
+  return {
+    ...rest,
+    constraints: JSON.parse(constraints || '{}'),
+    deckIds: deck_ids ? JSON.parse(deck_ids) : theme ? [] : [DEFAULT_DECK_ID],
+    deckTheme: theme && { ...theme, label: describeCriteria(theme) },
+    streaming: getStreamingSettings(session),
+    deckSize: getQuizLength(session),
+    finalVote: getFinalVote(session),
+    crew: crew ? { id: crew.id, name: crew.name } : null,
+    watched: getWatchForSession(session.id),
+    // When the session is cleaned up (its results are archived then)
+    expiresAt: Math.max(session.created_at + SESSION_RETENTION_HOURS * 60 * 60, session.pinned_until || 0)
+  };
+}
+
+const FINAL_VOTE_SIZE = 5;
+
+// The final vote's shortlist: the current top recommendations
+function buildCandidates(results) {
+  return (results.recommendations || []).slice(0, FINAL_VOTE_SIZE).map(rec => ({
+    key: String(rec.rank),
+    item: rec.item,
+    title: rec.verified ? rec.title : rec.item,
+    year: rec.verified ? rec.year : null,
+    poster: rec.verified ? rec.poster : null
+  }));
+}
+
+// The final vote as everyone sees it: ballots stay private, but who has voted doesn't
+function getFinalVote(session) {
+  if (!session.final_vote) return null;
+  const voters = db.prepare('SELECT id FROM participants WHERE session_id = ? AND ballot IS NOT NULL').all(session.id);
+  return { ...JSON.parse(session.final_vote), voters: voters.map(p => p.id) };
+}
+
+function broadcastFinalVote(sessionId) {
+  const session = db.prepare('SELECT id, final_vote FROM sessions WHERE id = ?').get(sessionId);
+  io.to(`session:${sessionId}`).emit('final_vote_updated', { finalVote: getFinalVote(session) });
+}
+
+// Count the ballots, store the outcome and close the round
+function closeFinalVote(sessionId) {
+  const session = db.prepare('SELECT final_vote FROM sessions WHERE id = ?').get(sessionId);
+  const vote = JSON.parse(session.final_vote);
+  const ballots = db.prepare('SELECT ballot FROM participants WHERE session_id = ? AND ballot IS NOT NULL').all(sessionId)
+    .map(p => JSON.parse(p.ballot));
+  const outcome = tallyBallots(vote.candidates, ballots, vote.method);
+  db.prepare('UPDATE sessions SET final_vote = ? WHERE id = ?')
+    .run(JSON.stringify({ ...vote, status: 'closed', outcome }), sessionId);
+  broadcastFinalVote(sessionId);
+}
+
+// Participants as the lobby sees them, with how many cards each has voted on
+function listParticipants(sessionId) {
+  return db.prepare('SELECT id, name, answers, completed FROM participants WHERE session_id = ?').all(sessionId)
+    .map(({ answers, ...p }) => ({ ...p, progress: Object.keys(JSON.parse(answers || '{}')).length }));
+}
+
+const VALID_VOTES = ['love', 'like', 'pass', 'havent_seen'];
+
+// Validate answers sent with a submit: every key a card this participant was
+// dealt, every vote a valid one. Returns { answers } (keyed by movie id, titles
+// from the deck) or { error }. Sending none is fine; the autosaved votes count.
+function parseSubmittedAnswers(input, session, participant) {
+  if (input === undefined || input === null) return { answers: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'answers must be an object of votes keyed by movie id' };
+  }
+  const deck = getSessionDeck(session) || [];
+  const dealt = session.deck_mode === 'adaptive' ? new Set(JSON.parse(participant.cards || '[]')) : null;
+  const answers = {};
+  for (const [key, answer] of Object.entries(input)) {
+    const movie = deck.find(m => m.id === Number(key));
+    if (!movie || (dealt && !dealt.has(movie.id))) {
+      return { error: `Movie ${key} is not one of your cards` };
+    }
+    if (!VALID_VOTES.includes(answer?.vote)) {
+      return { error: `Invalid vote for ${movie.title}` };
+    }
+    answers[movie.id] = { movieId: movie.id, title: movie.title, vote: answer.vote };
+  }
+  return { answers };
+}
+
+// Only the host (holding the secret token from session creation) may continue
+function requireHost(req, res, next) {
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const token = req.get('X-Host-Token') || req.body?.hostToken;
+  if (!token || token !== session.host_token) {
+    return res.status(403).json({ error: 'Only the host can do that' });
+  }
+  res.locals.session = session;
+  next();
+}
+
+// Only the participant themselves (holding their secret token) may continue
+function requireParticipant(req, res, next) {
+  const participantId = req.body?.participantId || req.get('X-Participant-Id');
+  const participant = db.prepare('SELECT * FROM participants WHERE id = ? AND session_id = ?')
+    .get(participantId, req.params.id);
+  if (!participant) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
+  const token = req.get('X-Participant-Token') || req.body?.participantToken;
+  if (!token || token !== participant.token) {
+    return res.status(403).json({ error: 'Not allowed to act as this participant' });
+  }
+  res.locals.participant = participant;
+  next();
+}
+
+// Taste profiles are optional: no headers means no profile, but headers that
+// don't match are an error rather than silently ignored
+function readProfile(req) {
+  const id = req.get('X-Profile-Id');
+  if (!id) return { profile: null };
+  const profile = authenticateProfile(id, req.get('X-Profile-Key'));
+  return profile ? { profile } : { error: 'Profile key doesn\'t match' };
+}
+
+function requireProfile(req, res, next) {
+  const { profile, error } = readProfile(req);
+  if (!profile) {
+    return res.status(403).json({ error: error || 'Profile key required' });
   }
+  res.locals.profile = profile;
+  next();
+}
+
+// Movies any of a session's returning participants have already rated
+function getKnownMovies(sessionId) {
+  const profiles = db.prepare('SELECT DISTINCT profile_id FROM participants WHERE session_id = ? AND profile_id IS NOT NULL').all(sessionId);
+  return new Set(profiles.flatMap(p => getTasteModel(p.profile_id).seen.map(v => v.movieId)));
+}
+
+const MAX_MIXED_DECKS = 5;
+
+// Validate the decks to draw quiz movies from. Returns { deckIds } (the default
+// deck when none are given) or { error }.
+function parseDeckIds(input) {
+  if (input === undefined || input === null) return { deckIds: [DEFAULT_DECK_ID] };
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_MIXED_DECKS
+    || !input.every(id => typeof id === 'string')) {
+    return { error: `Pick between 1 and ${MAX_MIXED_DECKS} decks` };
+  }
+  const deckIds = [...new Set(input)];
+  const missing = deckIds.find(id => !getDeck(id));
+  if (missing) return { error: `Deck not found: ${missing}` };
+  return { deckIds };
+}
+
+// Deck edits need the token handed out when the deck was created
+function requireDeckOwner(req, res, next) {
+  const deck = getDeck(req.params.deckId);
+  if (!deck) {
+    return res.status(404).json({ error: 'Deck not found' });
+  }
+  if (deck.builtIn) {
+    return res.status(403).json({ error: 'Built-in decks can\'t be changed' });
+  }
+  if (!canEditDeck(deck.id, req.get('X-Deck-Token'))) {
+    return res.status(403).json({ error: 'Not allowed to edit this deck' });
+  }
+  res.locals.deck = deck;
+  next();
 }
 
 // API Routes
 
-// Get movies for quiz
+// Get movies for quiz, from ?deck=<id> (comma-separated to mix) or the default deck
 app.get('/api/movies/quiz', async (req, res) => {
   const count = parseInt(req.query.count) || 15;
-  const movies = await getMoviesForQuiz(count);
+  const { deckIds, error } = parseDeckIds(req.query.deck ? String(req.query.deck).split(',') : undefined);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const movies = await getMoviesForQuiz({ deckIds }, count);
   if (movies.length === 0) {
-    return res.status(503).json({ error: 'Could not fetch movies. Check TMDB API key.' });
+    return res.status(503).json({ error: 'Could not load movies. Check TMDB API key or movie cache.' });
   }
   res.json({ movies });
 });
 
+// List the deck library
+app.get('/api/decks', (req, res) => {
+  res.json({ decks: listDecks() });
+});
+
+// Get one deck with its movies
+app.get('/api/decks/:deckId', (req, res) => {
+  const deck = getDeck(req.params.deckId);
+  if (!deck) {
+    return res.status(404).json({ error: 'Deck not found' });
+  }
+  res.json(deck);
+});
+
+// Create a deck from TMDB ids and/or "Title (Year)" searches
+app.post('/api/decks', createDeckLimiter, async (req, res) => {
+  const fields = parseDeckInput(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+  const { movies, unresolved } = await resolveDeckMovies(fields);
+  if (movies.length === 0) {
+    return res.status(400).json({ error: 'None of those movies could be found', unresolved });
+  }
+  const { deck, deckToken } = createDeck({ ...fields, movies });
+  res.json({ deck, deckToken, unresolved });
+});
+
+// Import a deck from an exported JSON file
+app.post('/api/decks/import', createDeckLimiter, async (req, res) => {
+  const fields = parseDeckImport(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+  const { movies, unresolved } = await resolveDeckMovies(fields);
+  if (movies.length === 0) {
+    return res.status(400).json({ error: 'None of the movies in that file could be found', unresolved });
+  }
+  const { deck, deckToken } = createDeck({ ...fields, movies });
+  res.json({ deck, deckToken, unresolved });
+});
+
+// Preview the movies a themed deck would draw from
+app.post('/api/decks/theme-preview', async (req, res) => {
+  const { criteria, error } = parseDeckCriteria(req.body.theme);
+  const { constraints, error: constraintsError } = parseConstraints(req.body.constraints);
+  if (error || constraintsError) {
+    return res.status(400).json({ error: error || constraintsError });
+  }
+  const movies = await buildThemedDeck(criteria, { constraints });
+  res.json({ label: describeCriteria(criteria), movies });
+});
+
+// Rename a deck or replace its movies
+app.put('/api/decks/:deckId', requireDeckOwner, async (req, res) => {
+  const fields = parseDeckInput(req.body, { partial: true });
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+  let unresolved = [];
+  if (fields.movieIds) {
+    const resolved = await resolveDeckMovies(fields);
+    if (resolved.movies.length === 0) {
+      return res.status(400).json({ error: 'None of those movies could be found', unresolved: resolved.unresolved });
+    }
+    fields.movies = resolved.movies;
+    unresolved = resolved.unresolved;
+  }
+  res.json({ deck: updateDeck(res.locals.deck.id, fields), unresolved });
+});
+
+// Delete a deck. Sessions that already drew from it keep their movies.
+app.delete('/api/decks/:deckId', requireDeckOwner, (req, res) => {
+  deleteDeck(res.locals.deck.id);
+  res.json({ success: true });
+});
+
+// Download a deck as JSON for sharing
+app.get('/api/decks/:deckId/export', (req, res) => {
+  const deck = getDeck(req.params.deckId);
+  if (!deck) {
+    return res.status(404).json({ error: 'Deck not found' });
+  }
+  const filename = deck.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck';
+  res.attachment(`${filename}.json`);
+  res.json(exportDeck(deck));
+});
+
+// Create a taste profile. The key is only ever sent back here, so the
+// client keeps it on the device.
+app.post('/api/profile', createProfileLimiter, (req, res) => {
+  const name = sanitize(req.body.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  res.json(createProfile(name));
+});
+
+// View your profile: taste summary and every vote it remembers
+app.get('/api/profile', requireProfile, (req, res) => {
+  const { profile } = res.locals;
+  const { seen, ...taste } = getTasteModel(profile.id);
+  res.json({
+    id: profile.id,
+    name: profile.name,
+    created_at: profile.created_at,
+    taste: { ...taste, seenCount: seen.length },
+    votes: getProfileVotes(profile.id)
+  });
+});
+
+// Forget one remembered vote
+app.delete('/api/profile/votes/:movieId', requireProfile, (req, res) => {
+  if (!forgetProfileVote(res.locals.profile.id, Number(req.params.movieId))) {
+    return res.status(404).json({ error: 'No vote for that movie' });
+  }
+  res.json({ success: true });
+});
+
+// Delete your profile and everything stored with it
+app.delete('/api/profile', requireProfile, (req, res) => {
+  deleteProfile(res.locals.profile.id);
+  res.json({ success: true });
+});
+
+// Crews: a recurring group with a stable link, settings and watch history
+app.post('/api/crews', createCrewLimiter, (req, res) => {
+  const name = sanitize(req.body.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Crew name is required' });
+  }
+  res.json(createCrew(name));
+});
+
+// A crew's page: what it has watched, how its picks landed and any of its
+// sessions still running
+app.get('/api/crews/:crewId', (req, res) => {
+  const crew = getCrew(req.params.crewId);
+  if (!crew) {
+    return res.status(404).json({ error: 'Crew not found' });
+  }
+  const sessions = db.prepare('SELECT id, status, host_name, created_at FROM sessions WHERE crew_id = ? ORDER BY created_at DESC')
+    .all(crew.id);
+  const history = getCrewHistory(crew.id);
+  res.json({ id: crew.id, name: crew.name, created_at: crew.created_at, history, stats: getCrewStats(history), sessions });
+});
+
+// Remove an entry from a crew's watch history
+app.delete('/api/crews/:crewId/history/:watchId', (req, res) => {
+  const { crewId, watchId } = req.params;
+  if (!canManageCrew(crewId, req.get('X-Crew-Token'))) {
+    return res.status(403).json({ error: 'Not allowed to edit this crew' });
+  }
+  if (!deleteWatch(crewId, parseInt(watchId))) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+  res.json({ success: true });
+});
+
 // Create session (rate limited to prevent abuse)
 app.post('/api/session', createSessionLimiter, (req, res) => {
   const hostName = sanitize(req.body.hostName);
@@ -335,13 +942,43 @@ app.post('/api/session', createSessionLimiter, (req, res) => {
     return res.status(400).json({ error: 'Name is required' });
   }
 
-  const id = nanoid(8);
-  db.prepare('INSERT INTO sessions (id, host_name) VALUES (?, ?)').run(id, hostName);
+  // A crew's next session starts from the settings its last one used
+  let crew = null;
+  if (req.body.crewId !== undefined) {
+    crew = getCrew(req.body.crewId);
+    if (!crew) {
+      return res.status(404).json({ error: 'Crew not found' });
+    }
+  }
+  const settings = { ...crew?.settings, ...req.body };
+
+  const { constraints, error } = parseConstraints(settings.constraints);
+  const { streaming, error: streamingError } = parseStreamingSettings(settings.streaming);
+  if (error || streamingError) {
+    return res.status(400).json({ error: error || streamingError });
+  }
+  const scoring = settings.scoring ?? 'veto';
+  if (!STRATEGIES.includes(scoring)) {
+    return res.status(400).json({ error: `scoring must be one of ${STRATEGIES.join(', ')}` });
+  }
+  const { profile, error: profileError } = readProfile(req);
+  if (profileError) {
+    return res.status(403).json({ error: profileError });
+  }
 
+  const id = nanoid(8);
   const participantId = nanoid(8);
-  db.prepare('INSERT INTO participants (id, session_id, name) VALUES (?, ?, ?)').run(participantId, id, hostName);
+  const hostToken = nanoid(24);
+  db.prepare(`INSERT INTO sessions (id, host_name, host_participant_id, host_token, allow_rewatches, constraints, streaming, scoring, crew_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, hostName, participantId, hostToken, settings.allowRewatches ? 1 : 0,
+      JSON.stringify(constraints), streaming && JSON.stringify(streaming), scoring, crew?.id ?? null);
+  const identity = createParticipant(id, hostName, participantId, profile?.id);
+  if (crew) {
+    saveCrewSettings(crew.id, { constraints, streaming, allowRewatches: Boolean(settings.allowRewatches), scoring });
+  }
 
-  res.json({ id, link: `/session/${id}`, participantId });
+  res.json({ id, link: `/session/${id}`, hostToken, ...identity });
 });
 
 // Get session
@@ -349,11 +986,16 @@ app.get('/api/session/:id', (req, res) => {
   const { id } = req.params;
   const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
   if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+    // Expired sessions live on as read-only archived results
+    const archived = getArchivedSession(id);
+    if (!archived) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    return res.json({ ...archived.summary, results: JSON.stringify(archived.results), archived: true });
   }
-  const participants = db.prepare('SELECT id, name, completed FROM participants WHERE session_id = ?').all(id);
+  const participants = listParticipants(id);
   const completedCount = participants.filter(p => p.completed).length;
-  res.json({ ...session, category: 'movies', mode: 'discover', participants, completedCount });
+  res.json({ ...publicSession(session), category: 'movies', mode: 'discover', participants, completedCount });
 });
 
 // Join session
@@ -368,58 +1010,292 @@ app.post('/api/session/:id/join', (req, res) => {
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
+  const { profile, error: profileError } = readProfile(req);
+  if (profileError) {
+    return res.status(403).json({ error: profileError });
+  }
 
-  const participantId = nanoid(8);
-  db.prepare('INSERT INTO participants (id, session_id, name) VALUES (?, ?, ?)').run(participantId, id, name);
+  const identity = createParticipant(id, name, undefined, profile?.id);
 
   io.to(`session:${id}`).emit('participant_joined', { name });
 
-  const participants = db.prepare('SELECT id, name, completed FROM participants WHERE session_id = ?').all(id);
-  res.json({ id: participantId, session: { ...session, category: 'movies', mode: 'discover', participants } });
+  const participants = listParticipants(id);
+  res.json({
+    id: identity.participantId,
+    participantToken: identity.participantToken,
+    rejoinCode: identity.rejoinCode,
+    session: { ...publicSession(session), category: 'movies', mode: 'discover', participants }
+  });
 });
 
-// Start quiz
-app.post('/api/session/:id/generate', (req, res) => {
+// Resume as an existing participant on another device using their rejoin code
+app.post('/api/session/:id/reclaim', (req, res) => {
   const { id } = req.params;
+  const code = String(req.body.code || '').trim().toUpperCase();
   const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
 
-  db.prepare('UPDATE sessions SET status = ? WHERE id = ?').run('collecting', id);
+  const participant = db.prepare('SELECT * FROM participants WHERE session_id = ? AND rejoin_code = ?').get(id, code);
+  if (!code || !participant) {
+    return res.status(404).json({ error: 'No one in this session has that code' });
+  }
+
+  res.json({
+    participantId: participant.id,
+    participantToken: participant.token,
+    rejoinCode: participant.rejoin_code,
+    name: participant.name,
+    answers: JSON.parse(participant.answers || '{}'),
+    completed: Boolean(participant.completed),
+    // The host gets their host controls back too
+    hostToken: participant.id === session.host_participant_id ? session.host_token : null
+  });
+});
+
+// Start quiz - picks the deck once so every participant swipes on the same movies
+app.post('/api/session/:id/generate', requireHost, async (req, res) => {
+  const { id } = req.params;
+  const { session } = res.locals;
+
+  if (!session.deck) {
+    // The host can pick one deck, mix several or describe a theme; otherwise
+    // the default deck is used
+    const { deckIds, error } = req.body.theme === undefined ? parseDeckIds(req.body.deckIds) : {};
+    const { criteria: theme, error: themeError } = req.body.theme === undefined ? {} : parseDeckCriteria(req.body.theme);
+    // Adaptive mode draws a bigger pool and deals from it card by card
+    const deckMode = req.body.deckMode ?? 'static';
+    if (!DECK_MODES.includes(deckMode)) {
+      return res.status(400).json({ error: `deckMode must be one of ${DECK_MODES.join(', ')}` });
+    }
+    if (error || themeError) {
+      return res.status(400).json({ error: error || themeError });
+    }
+    const count = deckMode === 'adaptive' ? ADAPTIVE_POOL_SIZE : 15;
+    // Skip films returning participants have already rated where we can
+    const movies = await getMoviesForQuiz({ deckIds, theme }, count, JSON.parse(session.constraints || '{}'), getKnownMovies(id));
+    if (movies.length === 0) {
+      return res.status(503).json({
+        error: theme
+          ? 'No movies match that theme and the constraints. Try broader criteria.'
+          : 'Could not load movies that fit the constraints. Loosen them or check the TMDB API key.'
+      });
+    }
+    // Snapshot the deck. Only store if no concurrent request picked one while we were fetching.
+    db.prepare('UPDATE sessions SET deck = ?, deck_ids = ?, deck_theme = ?, deck_mode = ? WHERE id = ? AND deck IS NULL')
+      .run(JSON.stringify(movies), deckIds ? JSON.stringify(deckIds) : null, theme ? JSON.stringify(theme) : null, deckMode, id);
+  }
+
+  db.prepare("UPDATE sessions SET status = 'collecting' WHERE id = ? AND status = 'lobby'").run(id);
   io.to(`session:${id}`).emit('questions_ready', { mode: 'movies' });
   res.json({ mode: 'movies' });
 });
 
-// Submit answers
-app.post('/api/session/:id/submit', async (req, res) => {
+// Update session settings
+app.post('/api/session/:id/settings', requireHost, (req, res) => {
   const { id } = req.params;
-  const { participantId, answers } = req.body;
+  const { session } = res.locals;
+  if (['generating', 'complete'].includes(session.status)) {
+    return res.status(400).json({ error: 'Results have already been generated' });
+  }
+
+  // Constraints can change until the quiz starts, since they shape the deck
+  if (req.body.constraints !== undefined && session.deck) {
+    return res.status(400).json({ error: 'Constraints are locked once the quiz has started' });
+  }
+  // Validate everything before saving anything
+  const { constraints, error } = parseConstraints(req.body.constraints);
+  const { streaming, error: streamingError } = parseStreamingSettings(req.body.streaming);
+  if (error || streamingError) {
+    return res.status(400).json({ error: error || streamingError });
+  }
+  if (req.body.scoring !== undefined && !STRATEGIES.includes(req.body.scoring)) {
+    return res.status(400).json({ error: `scoring must be one of ${STRATEGIES.join(', ')}` });
+  }
+
+  if (req.body.constraints !== undefined) {
+    db.prepare('UPDATE sessions SET constraints = ? WHERE id = ?').run(JSON.stringify(constraints), id);
+  }
+  if (req.body.streaming !== undefined) {
+    db.prepare('UPDATE sessions SET streaming = ? WHERE id = ?').run(streaming && JSON.stringify(streaming), id);
+  }
+  if (req.body.allowRewatches !== undefined) {
+    db.prepare('UPDATE sessions SET allow_rewatches = ? WHERE id = ?').run(req.body.allowRewatches ? 1 : 0, id);
+  }
+  if (req.body.scoring !== undefined) {
+    db.prepare('UPDATE sessions SET scoring = ? WHERE id = ?').run(req.body.scoring, id);
+  }
 
-  const participant = db.prepare('SELECT * FROM participants WHERE id = ? AND session_id = ?').get(participantId, id);
+  io.to(`session:${id}`).emit('settings_updated');
+  const updated = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+  if (updated.crew_id) {
+    saveCrewSettings(updated.crew_id, {
+      constraints: JSON.parse(updated.constraints || '{}'),
+      streaming: JSON.parse(updated.streaming || 'null'),
+      allowRewatches: Boolean(updated.allow_rewatches),
+      scoring: updated.scoring
+    });
+  }
+  res.json({
+    allowRewatches: Boolean(updated.allow_rewatches),
+    scoring: updated.scoring,
+    constraints: JSON.parse(updated.constraints || '{}'),
+    streaming: getStreamingSettings(updated)
+  });
+});
+
+// Hand host rights to another participant. The old token stops working and
+// the new host picks up a fresh one via /host/claim.
+app.post('/api/session/:id/host', requireHost, (req, res) => {
+  const { id } = req.params;
+  const participant = db.prepare('SELECT * FROM participants WHERE id = ? AND session_id = ?').get(req.body.participantId, id);
   if (!participant) {
     return res.status(404).json({ error: 'Participant not found' });
   }
 
-  db.prepare('UPDATE participants SET answers = ?, completed = 1 WHERE id = ?').run(JSON.stringify(answers), participantId);
+  db.prepare('UPDATE sessions SET host_participant_id = ?, host_name = ?, host_token = ?, host_claimed = 0 WHERE id = ?')
+    .run(participant.id, participant.name, nanoid(24), id);
+  io.to(`session:${id}`).emit('host_changed', { participantId: participant.id, name: participant.name });
+  res.json({ success: true });
+});
+
+// New host collects their token after a handoff (once)
+app.post('/api/session/:id/host/claim', requireParticipant, (req, res) => {
+  const { id } = req.params;
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+  if (res.locals.participant.id !== session.host_participant_id) {
+    return res.status(403).json({ error: 'You are not the host' });
+  }
+  // Only hand out the token once so it can't be collected by someone else later
+  const claimed = db.prepare('UPDATE sessions SET host_claimed = 1 WHERE id = ? AND host_claimed = 0').run(id);
+  if (claimed.changes === 0) {
+    return res.status(409).json({ error: 'Host token already claimed' });
+  }
+  res.json({ hostToken: session.host_token });
+});
+
+// Get the session's movie deck (same movies, same order, for everyone; the pool to deal from in adaptive mode)
+app.get('/api/session/:id/deck', (req, res) => {
+  const { id } = req.params;
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const movies = getSessionDeck(session);
+  if (!movies) {
+    return res.status(409).json({ error: 'Quiz has not started yet' });
+  }
+  res.json({ movies });
+});
+
+// Get your cards to swipe on: the whole deck, or in adaptive mode the cards
+// dealt so far (dealing the next one if you've answered them all)
+app.get('/api/session/:id/cards', requireParticipant, quizLimiter, (req, res) => {
+  const { id } = req.params;
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+  if (!session.deck) {
+    return res.status(409).json({ error: 'Quiz has not started yet' });
+  }
+  res.json({
+    movies: dealCards(session, res.locals.participant.id),
+    total: getQuizLength(session),
+    adaptive: session.deck_mode === 'adaptive'
+  });
+});
+
+// Save a single vote as it happens so progress survives refreshes and crashes
+app.post('/api/session/:id/vote', requireParticipant, quizLimiter, (req, res) => {
+  const { id } = req.params;
+  const { participant } = res.locals;
+  const { movieId, vote } = req.body;
+
+  if (!VALID_VOTES.includes(vote)) {
+    return res.status(400).json({ error: 'Invalid vote' });
+  }
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+  if (session.status !== 'collecting') {
+    return res.status(409).json({ error: 'Voting is closed for this session' });
+  }
+  if (participant.completed) {
+    return res.status(409).json({ error: 'You have already submitted your votes' });
+  }
+  const movie = getSessionDeck(session)?.find(m => m.id === Number(movieId));
+  if (!movie) {
+    return res.status(400).json({ error: 'Movie is not in this session\'s deck' });
+  }
+  const adaptive = session.deck_mode === 'adaptive';
+  if (adaptive && !JSON.parse(participant.cards || '[]').includes(movie.id)) {
+    return res.status(400).json({ error: 'That card hasn\'t been dealt to you yet' });
+  }
+
+  // Read-modify-write in one transaction so rapid votes don't clobber each other
+  const progress = db.transaction(() => {
+    const current = db.prepare('SELECT answers FROM participants WHERE id = ?').get(participant.id);
+    const answers = JSON.parse(current.answers || '{}');
+    answers[movie.id] = { movieId: movie.id, title: movie.title, vote };
+    db.prepare('UPDATE participants SET answers = ? WHERE id = ?').run(JSON.stringify(answers), participant.id);
+    return Object.keys(answers).length;
+  })();
+
+  if (participant.profile_id) {
+    recordProfileVote(participant.profile_id, movie, vote, id);
+  }
+
+  io.to(`session:${id}`).emit('vote_recorded', { participantId: participant.id, progress });
+  // Adaptive decks deal the next card as soon as this one is answered
+  res.json({ success: true, progress, ...(adaptive && { movies: dealCards(session, participant.id) }) });
+});
+
+// Get your own votes so far, to resume the quiz
+app.get('/api/session/:id/answers', requireParticipant, quizLimiter, (req, res) => {
+  const { participant } = res.locals;
+  res.json({ answers: JSON.parse(participant.answers || '{}'), completed: Boolean(participant.completed) });
+});
+
+// Submit answers. What gets finalized is the votes autosaved via /vote, plus
+// any sent along that never made it (checked against the deck like a vote).
+app.post('/api/session/:id/submit', requireParticipant, (req, res) => {
+  const { id } = req.params;
+  const { participant } = res.locals;
 
   const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
-  const participants = db.prepare('SELECT * FROM participants WHERE session_id = ?').all(id);
-  const allCompleted = participants.every(p => p.completed);
+  if (!['collecting', 'failed'].includes(session.status)) {
+    return res.status(409).json({ error: 'Voting is closed for this session' });
+  }
+  if (participant.completed) {
+    return res.status(409).json({ error: 'You have already submitted your votes' });
+  }
+  const { answers: submitted, error } = parseSubmittedAnswers(req.body.answers, session, participant);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  if (allCompleted) {
-    db.prepare('UPDATE sessions SET status = ? WHERE id = ?').run('complete', id);
+  // Merge and mark complete in one go, so a vote landing meanwhile isn't lost
+  const answers = db.transaction(() => {
+    const current = db.prepare('SELECT answers FROM participants WHERE id = ?').get(participant.id);
+    const merged = { ...JSON.parse(current.answers || '{}'), ...submitted };
+    if (Object.keys(merged).length === 0) return null;
+    db.prepare('UPDATE participants SET answers = ?, completed = 1 WHERE id = ?').run(JSON.stringify(merged), participant.id);
+    return merged;
+  })();
+  if (!answers) {
+    return res.status(400).json({ error: 'Vote on at least one movie before submitting' });
   }
 
+  if (participant.profile_id) {
+    for (const movie of getSessionDeck(session) || []) {
+      const vote = answers[movie.id]?.vote;
+      if (vote) recordProfileVote(participant.profile_id, movie, vote, id);
+    }
+  }
+  const allCompleted = !db.prepare('SELECT 1 FROM participants WHERE session_id = ? AND completed = 0').get(id);
+
   io.to(`session:${id}`).emit('answer_submitted', { participantName: participant.name });
 
-  // Generate results when all complete
-  if (allCompleted && session.status !== 'complete') {
+  // Generate results when all complete. Only one submit can win the job.
+  if (allCompleted && startResultsJob(id)) {
     console.log(`All participants completed for session ${id}, generating results...`);
-    const results = await generateResults(participants);
-    db.prepare('UPDATE sessions SET results = ?, status = ? WHERE id = ?').run(JSON.stringify(results), 'complete', id);
-    console.log(`Emitting results_ready to session:${id}`);
-    io.to(`session:${id}`).emit('results_ready', { results });
   }
 
   res.json({ success: true, allCompleted });
@@ -430,30 +1306,232 @@ app.get('/api/session/:id/results', (req, res) => {
   const { id } = req.params;
   const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
   if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+    const archived = getArchivedSession(id);
+    if (!archived || req.query.version !== undefined) {
+      return res.status(404).json({ error: archived ? 'Version not found' : 'Session not found' });
+    }
+    const { participants, ...summary } = archived.summary;
+    return res.json({ session: { ...summary, archived: true }, participants, results: archived.results });
   }
   const participants = db.prepare('SELECT name, answers, completed FROM participants WHERE session_id = ?').all(id);
-  const results = session.results ? JSON.parse(session.results) : null;
-  res.json({ session, participants, results });
+
+  // ?version=N fetches an earlier version instead of the current one
+  let stored = session.results;
+  if (req.query.version !== undefined) {
+    const row = db.prepare('SELECT results FROM result_versions WHERE session_id = ? AND version = ?')
+      .get(id, parseInt(req.query.version));
+    if (!row) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    stored = row.results;
+  }
+  const results = stored ? JSON.parse(stored) : null;
+  // Results stored before similarity existed can still be compared from the raw votes
+  if (results && !results.similarity) {
+    results.similarity = computeSimilarity(participants
+      .filter(p => p.completed)
+      .map(p => ({ name: p.name, answers: JSON.parse(p.answers || '{}') })));
+  }
+  res.json({ session: publicSession(session), participants, results });
 });
 
-// Close voting early
-app.post('/api/session/:id/close', async (req, res) => {
+// List every version of a session's results, oldest first
+app.get('/api/session/:id/results/versions', (req, res) => {
   const { id } = req.params;
-  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+  const session = db.prepare('SELECT id FROM sessions WHERE id = ?').get(id);
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
+  const versions = db.prepare('SELECT version, update_reason, created_at FROM result_versions WHERE session_id = ? ORDER BY version').all(id);
+  res.json({ versions });
+});
+
+// Rerun generation with the host's feedback on the current results
+app.post('/api/session/:id/regenerate', requireHost, (req, res) => {
+  const { id } = req.params;
+  const { session } = res.locals;
+
+  if (session.status !== 'complete' || !session.results) {
+    return res.status(409).json({ error: 'Results can only be regenerated once they are ready' });
+  }
+
+  const previous = JSON.parse(session.results);
+  const revision = parseRevisionRequest(req.body, previous);
+  if (revision.error) {
+    return res.status(400).json({ error: revision.error });
+  }
+
+  if (!startResultsJob(id, 'complete', { previous, ...revision })) {
+    return res.status(409).json({ error: 'Results are already being generated' });
+  }
+  res.json({ success: true });
+});
+
+// Start a final vote on the current shortlist (host only). Starting again
+// after a vote has closed runs a fresh round.
+app.post('/api/session/:id/final-vote', requireHost, (req, res) => {
+  const { id } = req.params;
+  const { session } = res.locals;
+  const method = req.body.method || 'approval';
+
+  if (!BALLOT_METHODS.includes(method)) {
+    return res.status(400).json({ error: `method must be one of ${BALLOT_METHODS.join(', ')}` });
+  }
+  if (session.status !== 'complete' || !session.results) {
+    return res.status(409).json({ error: 'Results need to be ready first' });
+  }
+  if (JSON.parse(session.final_vote || 'null')?.status === 'open') {
+    return res.status(409).json({ error: 'A final vote is already open' });
+  }
+  const candidates = buildCandidates(JSON.parse(session.results));
+  if (candidates.length < 2) {
+    return res.status(400).json({ error: 'Need at least two recommendations to vote on' });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE participants SET ballot = NULL WHERE session_id = ?').run(id);
+    db.prepare('UPDATE sessions SET final_vote = ? WHERE id = ?')
+      .run(JSON.stringify({ status: 'open', method, candidates, outcome: null }), id);
+  })();
+  broadcastFinalVote(id);
+  res.json({ success: true });
+});
+
+// Cast or change a ballot: candidate keys, most preferred first. For approval
+// voting the order doesn't matter.
+app.post('/api/session/:id/final-vote/ballot', requireParticipant, (req, res) => {
+  const { id } = req.params;
+  const { participant } = res.locals;
+  const { ranking } = req.body;
+
+  const session = db.prepare('SELECT final_vote FROM sessions WHERE id = ?').get(id);
+  const vote = JSON.parse(session.final_vote || 'null');
+  if (vote?.status !== 'open') {
+    return res.status(409).json({ error: 'There is no final vote open' });
+  }
+  const keys = new Set(vote.candidates.map(c => c.key));
+  if (!Array.isArray(ranking) || ranking.length === 0
+    || !ranking.every(k => keys.has(k)) || new Set(ranking).size !== ranking.length) {
+    return res.status(400).json({ error: 'ranking must list shortlist movies, each at most once' });
+  }
+
+  db.prepare('UPDATE participants SET ballot = ? WHERE id = ?').run(JSON.stringify(ranking), participant.id);
+
+  // Close as soon as everyone has voted
+  const waiting = db.prepare('SELECT 1 FROM participants WHERE session_id = ? AND ballot IS NULL').get(id);
+  if (waiting) {
+    broadcastFinalVote(id);
+  } else {
+    closeFinalVote(id);
+  }
+  res.json({ success: true });
+});
+
+// Close the final vote early and announce the winner
+app.post('/api/session/:id/final-vote/close', requireHost, (req, res) => {
+  const { id } = req.params;
+  if (JSON.parse(res.locals.session.final_vote || 'null')?.status !== 'open') {
+    return res.status(409).json({ error: 'There is no final vote open' });
+  }
+  closeFinalVote(id);
+  res.json({ success: true });
+});
+
+// Mark which recommendation the group actually watched (host only). Marking
+// another one replaces it.
+app.post('/api/session/:id/watched', requireHost, (req, res) => {
+  const { id } = req.params;
+  const { session } = res.locals;
+  if (!session.results) {
+    return res.status(409).json({ error: 'Results need to be ready first' });
+  }
+  const rec = JSON.parse(session.results).recommendations?.find(r => r.rank === req.body.rank);
+  if (!rec) {
+    return res.status(400).json({ error: 'rank must be one of the group recommendations' });
+  }
+  const movie = rec.verified
+    ? { id: rec.tmdb_id, title: rec.title, year: rec.year, poster: rec.poster, genres: rec.genres }
+    : parseTitle(rec.item);
+  const watched = recordWatch(id, session.crew_id, movie, rec.rank);
+  io.to(`session:${id}`).emit('watched_updated', { watched });
+  res.json({ watched });
+});
+
+// Record how everyone rated the watched movie: { ratings: { participantId: 1-5 } }
+app.post('/api/session/:id/watched/ratings', requireHost, (req, res) => {
+  const { id } = req.params;
+  if (!getWatchForSession(id)) {
+    return res.status(409).json({ error: 'Mark what you watched first' });
+  }
+  const participantIds = db.prepare('SELECT id FROM participants WHERE session_id = ?').all(id).map(p => p.id);
+  const { ratings, error } = parseRatings(req.body.ratings, participantIds);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const watched = rateWatch(id, ratings);
+  io.to(`session:${id}`).emit('watched_updated', { watched });
+  res.json({ watched });
+});
+
+// "How was it?": each participant rates the watched movie themselves, 1-5
+app.post('/api/session/:id/watched/rating', requireParticipant, (req, res) => {
+  const { id } = req.params;
+  const { participant } = res.locals;
+  if (!getWatchForSession(id)) {
+    return res.status(409).json({ error: 'Nothing has been marked as watched yet' });
+  }
+  const { ratings, error } = parseRatings({ [participant.id]: req.body.rating }, [participant.id]);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const watched = rateWatch(id, ratings);
+  io.to(`session:${id}`).emit('watched_updated', { watched });
+  res.json({ watched });
+});
+
+// Undo "we watched this"
+app.delete('/api/session/:id/watched', requireHost, (req, res) => {
+  const { id } = req.params;
+  clearWatch(id);
+  io.to(`session:${id}`).emit('watched_updated', { watched: null });
+  res.json({ success: true });
+});
+
+// Pin the results so the session (and its link) lasts PINNED_RETENTION_DAYS
+// from now instead of expiring with the usual cleanup. { pinned: false } unpins.
+app.post('/api/session/:id/pin', requireHost, (req, res) => {
+  const { id } = req.params;
+  if (!res.locals.session.results) {
+    return res.status(409).json({ error: 'Results need to be ready first' });
+  }
+  const pinnedUntil = req.body.pinned === false ? null : Math.floor(Date.now() / 1000) + PINNED_RETENTION_DAYS * 24 * 60 * 60;
+  db.prepare('UPDATE sessions SET pinned_until = ? WHERE id = ?').run(pinnedUntil, id);
+  io.to(`session:${id}`).emit('settings_updated');
+  res.json({ pinnedUntil });
+});
+
+// Close voting early
+app.post('/api/session/:id/close', requireHost, (req, res) => {
+  const { id } = req.params;
 
-  const participants = db.prepare('SELECT * FROM participants WHERE session_id = ? AND completed = 1').all(id);
-  if (participants.length === 0) {
+  const completed = db.prepare('SELECT COUNT(*) AS n FROM participants WHERE session_id = ? AND completed = 1').get(id);
+  if (completed.n === 0) {
     return res.status(400).json({ error: 'No completed participants' });
   }
 
-  const results = await generateResults(participants);
-  db.prepare('UPDATE sessions SET results = ?, status = ? WHERE id = ?').run(JSON.stringify(results), 'complete', id);
-  io.to(`session:${id}`).emit('results_ready', { results });
-  res.json({ success: true, results });
+  if (!startResultsJob(id)) {
+    return res.status(409).json({ error: 'Results are already being generated' });
+  }
+  res.json({ success: true, status: 'generating' });
+});
+
+// Retry result generation after a failure
+app.post('/api/session/:id/retry', requireHost, (req, res) => {
+  const { id } = req.params;
+  if (!startResultsJob(id, 'failed')) {
+    return res.status(409).json({ error: 'Results have not failed' });
+  }
+  res.json({ success: true, status: 'generating' });
 });
 
 // Socket.io
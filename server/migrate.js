@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { DB_PATH, openDatabase } from './connection.js';
+import { loadMigrations, migrationStatus, runMigrations } from './migrations/index.js';
+
+// Inspect or run schema migrations without starting the server:
+//   node migrate.js status      applied and pending migrations
+//   node migrate.js up [N]      apply pending migrations (up to version N)
+// The server applies everything pending on startup anyway.
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+async function main([command = 'status', target]) {
+  console.log(`Database: ${DB_PATH}`);
+
+  // Status only looks, so it neither creates the file nor writes to it
+  if (command === 'status') {
+    if (!fs.existsSync(DB_PATH)) {
+      console.log(`No database yet; all ${(await loadMigrations()).length} migrations will run when it's created`);
+      return 0;
+    }
+    const db = openDatabase(DB_PATH, { readonly: true });
+    const { current, latest, applied, pending } = await migrationStatus(db);
+    db.close();
+    console.log(`Schema version ${current} of ${latest}`);
+    for (const m of applied) console.log(`  applied  ${String(m.version).padStart(3, '0')} ${m.name} (${formatTime(m.applied_at)})`);
+    for (const m of pending) console.log(`  pending  ${String(m.version).padStart(3, '0')} ${m.name}`);
+    return 0;
+  }
+
+  if (command === 'up') {
+    if (target !== undefined && !/^\d+$/.test(target)) {
+      console.error('Target must be a migration number');
+      return 1;
+    }
+    const db = openDatabase();
+    const ran = await runMigrations(db, { target: target === undefined ? undefined : parseInt(target, 10) });
+    if (ran.length === 0) console.log('Nothing to apply');
+    for (const m of ran) console.log(`Applied migration ${m.version}: ${m.name}`);
+    return 0;
+  }
+
+  console.error(`Unknown command: ${command}. Use "status" or "up [N]".`);
+  return 1;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (err) {
+  console.error('Migration failed:', err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,148 @@
+// Every table and column from before versioned migrations. Databases created
+// back then already have some of this, in whatever shape they were last run
+// with, so this migration is idempotent: tables are created if missing and
+// columns added if missing.
+
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      status TEXT DEFAULT 'lobby',
+      host_name TEXT,
+      results TEXT,
+      created_at INTEGER DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS participants (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      answers TEXT,
+      completed INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (unixepoch()),
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session ON participants(session_id);
+
+    CREATE TABLE IF NOT EXISTS movie_cache (
+      id INTEGER PRIMARY KEY,
+      title TEXT NOT NULL,
+      year TEXT,
+      poster TEXT,
+      overview TEXT,
+      genres TEXT,
+      rating REAL,
+      runtime INTEGER,
+      fetched_at INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS watch_provider_cache (
+      movie_id INTEGER NOT NULL,
+      region TEXT NOT NULL,
+      providers TEXT NOT NULL,
+      fetched_at INTEGER DEFAULT 0,
+      PRIMARY KEY (movie_id, region)
+    );
+
+    CREATE TABLE IF NOT EXISTS result_versions (
+      session_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      results TEXT NOT NULL,
+      update_reason TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (session_id, version),
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS decks (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      movies TEXT NOT NULL,
+      token TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      updated_at INTEGER DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS profiles (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      key TEXT NOT NULL,
+      created_at INTEGER DEFAULT (unixepoch()),
+      updated_at INTEGER DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS profile_votes (
+      profile_id TEXT NOT NULL,
+      movie_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      year TEXT,
+      genres TEXT,
+      vote TEXT NOT NULL,
+      session_id TEXT,
+      voted_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (profile_id, movie_id),
+      FOREIGN KEY (profile_id) REFERENCES profiles(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS crews (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      token TEXT NOT NULL,
+      settings TEXT,
+      created_at INTEGER DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS watch_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL UNIQUE,
+      crew_id TEXT,
+      movie_id INTEGER,
+      title TEXT NOT NULL,
+      year TEXT,
+      poster TEXT,
+      ratings TEXT,
+      watched_at INTEGER DEFAULT (unixepoch())
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_watch_crew ON watch_history(crew_id);
+
+    CREATE TABLE IF NOT EXISTS movie_search_cache (
+      query TEXT PRIMARY KEY,
+      movie_id INTEGER,
+      fetched_at INTEGER DEFAULT (unixepoch())
+    );
+  `);
+
+  addColumnIfMissing(db, 'sessions', 'deck', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'allow_rewatches', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'sessions', 'host_participant_id', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'host_token', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'host_claimed', 'INTEGER DEFAULT 1');
+  addColumnIfMissing(db, 'sessions', 'results_error', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'final_vote', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'token', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'rejoin_code', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'ballot', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'constraints', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'streaming', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'deck_ids', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'deck_theme', 'TEXT');
+  addColumnIfMissing(db, 'sessions', 'deck_mode', "TEXT DEFAULT 'static'");
+  addColumnIfMissing(db, 'sessions', 'crew_id', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'cards', 'TEXT');
+  addColumnIfMissing(db, 'watch_history', 'genres', 'TEXT');
+  addColumnIfMissing(db, 'watch_history', 'rank', 'INTEGER');
+  addColumnIfMissing(db, 'watch_history', 'outcome', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'profile_id', 'TEXT');
+  addColumnIfMissing(db, 'movie_cache', 'certification', 'TEXT');
+  addColumnIfMissing(db, 'movie_cache', 'original_language', 'TEXT');
+}
@@ -0,0 +1,16 @@
+// Hosts can pin a session's results, and finished results are archived
+// (without anyone's answers) when the session is cleaned up
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE sessions ADD COLUMN pinned_until INTEGER;
+
+    CREATE TABLE archived_results (
+      session_id TEXT PRIMARY KEY,
+      summary TEXT NOT NULL,
+      results TEXT NOT NULL,
+      created_at INTEGER,
+      archived_at INTEGER DEFAULT (unixepoch())
+    );
+  `);
+}
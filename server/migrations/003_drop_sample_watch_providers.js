@@ -0,0 +1,8 @@
+// Earlier versions seeded the watch provider cache with sample listings for
+// offline development. They aren't real availability, so drop them; TMDB fills
+// the cache with real data on demand. Only seeded rows were stored with
+// fetched_at 0.
+
+export function up(db) {
+  db.prepare('DELETE FROM watch_provider_cache WHERE fetched_at = 0').run();
+}
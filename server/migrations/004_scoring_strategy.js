@@ -0,0 +1,6 @@
+// Hosts pick how the computed "watch tonight" list is ranked (see STRATEGIES
+// in scoring.js); sessions from before keep the veto ranking they had
+
+export function up(db) {
+  db.exec("ALTER TABLE sessions ADD COLUMN scoring TEXT DEFAULT 'veto'");
+}
@@ -0,0 +1,17 @@
+// Watch ratings were keyed by participant name, so two people with the same
+// name overwrote each other. Key them by participant id instead. Names from
+// sessions that are gone (or shared by two participants) can't be matched to
+// an id and are left as they are, so averages and outcomes don't change.
+
+export function up(db) {
+  const findParticipants = db.prepare('SELECT id FROM participants WHERE session_id = ? AND name = ?');
+  const update = db.prepare('UPDATE watch_history SET ratings = ? WHERE id = ?');
+  for (const watch of db.prepare('SELECT id, session_id, ratings FROM watch_history').all()) {
+    const ratings = {};
+    for (const [name, rating] of Object.entries(JSON.parse(watch.ratings || '{}'))) {
+      const matches = findParticipants.all(watch.session_id, name);
+      ratings[matches.length === 1 ? matches[0].id : name] = rating;
+    }
+    update.run(JSON.stringify(ratings), watch.id);
+  }
+}
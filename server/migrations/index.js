@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Schema changes are numbered files in this directory (001_initial_schema.js,
+// 002_session_retention.js, ...), each exporting a synchronous up(db). They're
+// applied in order, each in its own transaction, and recorded in
+// schema_version, so a failed migration leaves the database as it was. Add
+// changes as a new file with the next number; never edit one that has shipped.
+
+const MIGRATION_FILE = /^(\d{3})_(\w+)\.js$/;
+
+// Every migration in this directory as { version, name, file, up }, in order
+export async function loadMigrations(dir = __dirname) {
+  const files = fs.readdirSync(dir).filter(f => MIGRATION_FILE.test(f)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, number, slug] = file.match(MIGRATION_FILE);
+    const version = parseInt(number, 10);
+    if (version !== migrations.length + 1) {
+      throw new Error(`Migration ${file} is out of sequence, expected number ${String(migrations.length + 1).padStart(3, '0')}`);
+    }
+    const { up } = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof up !== 'function') {
+      throw new Error(`Migration ${file} doesn't export an up(db) function`);
+    }
+    migrations.push({ version, name: slug.replace(/_/g, ' '), file, up });
+  }
+  return migrations;
+}
+
+function ensureVersionTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at INTEGER DEFAULT (unixepoch())
+  )`);
+}
+
+// Migrations recorded in schema_version, oldest first. A database that has
+// never been migrated has no such table yet, which means none.
+function readApplied(db) {
+  const table = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+  return table ? db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all() : [];
+}
+
+// Which migrations have been applied to a database and which are pending.
+// Only reads, so it works on a read-only connection.
+export async function migrationStatus(db, migrations) {
+  migrations ??= await loadMigrations();
+  const applied = readApplied(db);
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+  return {
+    current,
+    latest: migrations.length,
+    applied,
+    pending: migrations.filter(m => m.version > current).map(({ version, name, file }) => ({ version, name, file }))
+  };
+}
+
+// Apply pending migrations, up to and including target (default: all of
+// them). Returns the migrations that ran.
+export async function runMigrations(db, { target, migrations } = {}) {
+  migrations ??= await loadMigrations();
+  ensureVersionTable(db);
+  const { current, latest } = await migrationStatus(db, migrations);
+  if (current > latest) {
+    // Running older code against a newer database; it may be missing columns this code doesn't know about
+    console.warn(`Database is at schema version ${current}, newer than this code (${latest})`);
+  }
+  const ran = [];
+  for (const migration of migrations.filter(m => m.version > current && (target === undefined || m.version <= target))) {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+    ran.push(migration);
+  }
+  return ran;
+}
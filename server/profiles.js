@@ -0,0 +1,105 @@
+import { nanoid } from 'nanoid';
+import db from './db.js';
+import { VOTE_WEIGHTS } from './scoring.js';
+
+// Optional taste profiles for returning users. A profile is just a name and a
+// key kept on the user's device (no passwords). Votes cast while linked to a
+// profile are kept after the session itself is cleaned up, so the next
+// session knows what someone likes and which films they've already seen.
+
+const MAX_HISTORY_VOTES = 500;
+const TOP_GENRES = 3;
+// Genres need this many votes before they count towards someone's taste
+const MIN_GENRE_VOTES = 2;
+
+export function createProfile(name) {
+  const id = nanoid(10);
+  const key = nanoid(32);
+  db.prepare('INSERT INTO profiles (id, name, key) VALUES (?, ?, ?)').run(id, name, key);
+  return { profileId: id, profileKey: key, name };
+}
+
+// The profile for an id/key pair, or null if they don't match
+export function authenticateProfile(id, key) {
+  if (!id || !key) return null;
+  const profile = db.prepare('SELECT * FROM profiles WHERE id = ?').get(id);
+  return profile && profile.key === key ? profile : null;
+}
+
+// Remember a vote. A later vote on the same movie replaces the earlier one.
+export function recordProfileVote(profileId, movie, vote, sessionId) {
+  db.prepare(`INSERT INTO profile_votes (profile_id, movie_id, title, year, genres, vote, session_id, voted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT(profile_id, movie_id) DO UPDATE SET
+      title = excluded.title, year = excluded.year, genres = excluded.genres,
+      vote = excluded.vote, session_id = excluded.session_id, voted_at = excluded.voted_at`)
+    .run(profileId, movie.id, movie.title, movie.year ?? null, JSON.stringify(movie.genres || []), vote, sessionId);
+  db.prepare('UPDATE profiles SET updated_at = unixepoch() WHERE id = ?').run(profileId);
+}
+
+// Everything a profile has voted on, newest first
+export function getProfileVotes(profileId, limit = MAX_HISTORY_VOTES) {
+  return db.prepare('SELECT * FROM profile_votes WHERE profile_id = ? ORDER BY voted_at DESC LIMIT ?')
+    .all(profileId, limit)
+    .map(row => ({
+      movieId: row.movie_id,
+      title: row.title,
+      year: row.year,
+      genres: JSON.parse(row.genres || '[]'),
+      vote: row.vote,
+      sessionId: row.session_id,
+      votedAt: row.voted_at
+    }));
+}
+
+export function forgetProfileVote(profileId, movieId) {
+  return db.prepare('DELETE FROM profile_votes WHERE profile_id = ? AND movie_id = ?').run(profileId, movieId).changes > 0;
+}
+
+// Delete a profile and everything stored with it. Sessions it took part in
+// keep their (short-lived) votes but lose the link.
+export const deleteProfile = db.transaction((profileId) => {
+  db.prepare('DELETE FROM profile_votes WHERE profile_id = ?').run(profileId);
+  db.prepare('UPDATE participants SET profile_id = NULL WHERE profile_id = ?').run(profileId);
+  db.prepare('DELETE FROM profiles WHERE id = ?').run(profileId);
+});
+
+// A profile's long-term taste: average vote weight per genre (-2 to 2), the
+// genres they love and avoid, and the movies they've already seen
+export function getTasteModel(profileId) {
+  const votes = getProfileVotes(profileId);
+  const totals = {};
+  for (const v of votes) {
+    if (!(v.vote in VOTE_WEIGHTS)) continue;
+    for (const genre of v.genres) {
+      totals[genre] ??= { sum: 0, count: 0 };
+      totals[genre].sum += VOTE_WEIGHTS[v.vote];
+      totals[genre].count++;
+    }
+  }
+  const genres = Object.fromEntries(
+    Object.entries(totals)
+      .filter(([, t]) => t.count >= MIN_GENRE_VOTES)
+      .map(([genre, t]) => [genre, Math.round((t.sum / t.count) * 100) / 100])
+      .sort((a, b) => b[1] - a[1])
+  );
+  const ranked = Object.entries(genres);
+  return {
+    votes: votes.length,
+    genres,
+    loves: ranked.filter(([, w]) => w > 0).slice(0, TOP_GENRES).map(([g]) => g),
+    avoids: ranked.filter(([, w]) => w < 0).reverse().slice(0, TOP_GENRES).map(([g]) => g),
+    // "havent_seen" is the only vote that doesn't mean they've seen it
+    seen: votes.filter(v => v.vote !== 'havent_seen')
+  };
+}
+
+// One prompt line about a returning participant's taste, or null if there's
+// nothing useful to say yet
+export function describeTaste(name, taste) {
+  const parts = [];
+  if (taste.loves.length) parts.push(`loves ${taste.loves.join(', ')}`);
+  if (taste.avoids.length) parts.push(`avoids ${taste.avoids.join(', ')}`);
+  if (parts.length === 0) return null;
+  return `${name}: ${parts.join('; ')} (from ${taste.votes} votes in earlier sessions)`;
+}
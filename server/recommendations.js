@@ -0,0 +1,195 @@
+import { searchMovie, normalizeTitle } from './tmdb.js';
+import { extractJSON } from './resultsSchema.js';
+import { constraintViolations, describeConstraints } from './constraints.js';
+
+// Post-processing for AI recommendations: match the model's free-text titles
+// to real TMDB movies, drop anything the group already rated, and top the
+// list back up so there are still enough picks.
+
+const TARGET_COUNT = 5;
+const MAX_TOP_UP_ATTEMPTS = 2;
+
+// Split "Movie Title (1999)" into its title and year
+export function parseTitle(item) {
+  const text = String(item || '').trim();
+  const match = text.match(/^(.*?)\s*\((\d{4})\)\s*$/);
+  return match ? { title: match[1].trim(), year: match[2] } : { title: text, year: null };
+}
+
+// Movies nobody should be recommended again: anything voted love/like/pass.
+// With allowRewatches, "love" votes are fair game as rewatch suggestions.
+export function buildExclusions(participants, { allowRewatches = false } = {}) {
+  const excluded = new Set(allowRewatches ? ['like', 'pass'] : ['love', 'like', 'pass']);
+  const ids = new Set();
+  const titles = new Map();
+  for (const p of participants) {
+    for (const answer of Object.values(p.answers || {})) {
+      if (!excluded.has(answer.vote)) continue;
+      ids.add(Number(answer.movieId));
+      titles.set(normalizeTitle(answer.title), answer.title);
+    }
+  }
+  return { ids, titles };
+}
+
+// Add movies that must never come back, whatever the votes say (e.g. films a
+// crew has already watched together). movies are { movieId, title }.
+export function excludeMovies(exclusions, movies) {
+  for (const movie of movies) {
+    if (movie.movieId) exclusions.ids.add(Number(movie.movieId));
+    exclusions.titles.set(normalizeTitle(movie.title), movie.title);
+  }
+  return exclusions;
+}
+
+function isExcludedTitle(item, exclusions) {
+  return exclusions.titles.has(normalizeTitle(parseTitle(item).title));
+}
+
+function isExcludedMovie(rec, exclusions) {
+  return rec.verified && exclusions.ids.has(rec.tmdb_id);
+}
+
+// Host constraints, checked against TMDB data
+function breaksConstraints(rec, constraints) {
+  return rec.verified && constraintViolations(rec, constraints).length > 0;
+}
+
+// Look up a "Title (Year)" string and return the fields we attach to a rec
+async function resolveItem(item) {
+  const { title, year } = parseTitle(item);
+  if (!title) return { verified: false };
+  const movie = await searchMovie(title, year) || (year ? await searchMovie(title) : null);
+  if (!movie) return { verified: false };
+  return {
+    verified: true,
+    tmdb_id: movie.id,
+    title: movie.title,
+    year: movie.year,
+    poster: movie.poster,
+    runtime: movie.runtime,
+    genres: movie.genres,
+    overview: movie.overview,
+    certification: movie.certification,
+    original_language: movie.original_language
+  };
+}
+
+// Ask the model for more picks in the same spirit as the ones we kept
+async function requestMore(count, { keep, rejected, avoid, constraints = {} }, callAI) {
+  const content = await callAI([
+    {
+      role: 'system',
+      content: `You are topping up a list of movie recommendations for a group.
+
+Current picks:
+${keep.map(r => `- ${r.item}: ${r.reason}`).join('\n') || '- (none)'}
+
+Rejected picks (not found in TMDB, already seen by the group, or outside the host's limits):
+${rejected.map(r => `- ${r.item}: ${r.reason}`).join('\n') || '- (none)'}
+
+Do NOT suggest any of these movies the group already rated: ${avoid.join(', ') || '(none)'}
+
+Suggest ${count} more real, released films that fit the same taste. Use the exact release title and year.${describeConstraints(constraints).map(line => `
+- ${line}`).join('')}
+
+Output JSON:
+{"recommendations": [{"item": "Movie Title (Year)", "reason": "why it fits their taste"}]}`
+    },
+    { role: 'user', content: `Suggest ${count} more movies.` }
+  ], 600, {
+    task: 'more_recommendations',
+    count,
+    avoid,
+    keep: keep.map(r => r.item),
+    rejected: rejected.map(r => r.item),
+    constraints
+  });
+
+  const data = extractJSON(content);
+  if (!Array.isArray(data?.recommendations)) return [];
+  return data.recommendations.filter(r => typeof r?.item === 'string' && r.item.trim());
+}
+
+// Resolve and filter a batch of recs, splitting them into usable and rejected
+async function screen(recs, exclusions, seenIds, constraints, accept) {
+  const keep = [];
+  const rejected = [];
+  for (const rec of recs) {
+    if (isExcludedTitle(rec.item, exclusions)) {
+      rejected.push(rec);
+      continue;
+    }
+    const resolved = { ...rec, ...await resolveItem(rec.item) };
+    if (isExcludedMovie(resolved, exclusions)
+      || breaksConstraints(resolved, constraints)
+      || (resolved.verified && seenIds.has(resolved.tmdb_id))
+      || (resolved.verified && accept && !await accept(resolved))) {
+      rejected.push(resolved);
+      continue;
+    }
+    if (resolved.verified) seenIds.add(resolved.tmdb_id);
+    keep.push(resolved);
+  }
+  return { keep, rejected };
+}
+
+// Attach TMDB data to group and personal recommendations and drop movies the
+// group already rated or that break the host's constraints. accept is an
+// optional async check every verified rec must also pass. Pass callAI to
+// have the model replace unresolved or excluded group recs; without it,
+// unresolved recs are kept but flagged with verified: false.
+export async function resolveRecommendations(results, {
+  callAI,
+  exclusions = { ids: new Set(), titles: new Map() },
+  constraints = {},
+  accept
+} = {}) {
+  const seenIds = new Set();
+  const first = await screen(results.recommendations || [], exclusions, seenIds, constraints, accept);
+  let keep = first.keep;
+  const rejected = [...first.rejected];
+
+  if (callAI) {
+    // Unresolved titles may be hallucinated, so try to trade them in too
+    rejected.push(...keep.filter(r => !r.verified));
+    keep = keep.filter(r => r.verified);
+
+    for (let attempt = 0; attempt < MAX_TOP_UP_ATTEMPTS && keep.length < TARGET_COUNT; attempt++) {
+      const extra = await requestMore(TARGET_COUNT - keep.length, {
+        keep,
+        rejected,
+        avoid: [...exclusions.titles.values()],
+        constraints
+      }, callAI);
+      if (extra.length === 0) break;
+      const more = await screen(extra.slice(0, TARGET_COUNT - keep.length), exclusions, seenIds, constraints, accept);
+      keep.push(...more.keep.filter(r => r.verified));
+      rejected.push(...more.rejected, ...more.keep.filter(r => !r.verified));
+    }
+
+    // Better an unverified pick than a short list
+    const fillers = rejected.filter(r => !r.verified && !isExcludedTitle(r.item, exclusions));
+    keep.push(...fillers.slice(0, TARGET_COUNT - keep.length));
+  }
+
+  const recommendations = keep.map((rec, idx) => ({ ...rec, rank: idx + 1 }));
+
+  const individual_writeups = await Promise.all(
+    (results.individual_writeups || []).map(async w => {
+      const recs = (w.personal_recs || [])
+        .map(rec => typeof rec === 'string' ? rec : rec.item)
+        .filter(item => !isExcludedTitle(item, exclusions));
+      const resolved = await Promise.all(recs.map(async item => ({ item, ...await resolveItem(item) })));
+      const allowed = [];
+      for (const r of resolved) {
+        if (isExcludedMovie(r, exclusions) || breaksConstraints(r, constraints)) continue;
+        if (r.verified && accept && !await accept(r)) continue;
+        allowed.push(r);
+      }
+      return { ...w, personal_recs: allowed };
+    })
+  );
+
+  return { ...results, recommendations, individual_writeups };
+}
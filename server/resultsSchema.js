@@ -0,0 +1,179 @@
+// Shape of the AI's results JSON, a validator for it, and helpers for pulling
+// JSON out of model output and salvaging what's usable from a bad response.
+
+export const RESULTS_SCHEMA = {
+  type: 'object',
+  required: ['group_summary', 'recommendations', 'individual_writeups'],
+  properties: {
+    group_summary: { type: 'string', minLength: 1 },
+    recommendations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['item', 'reason', 'rank'],
+        properties: {
+          item: { type: 'string', minLength: 1 },
+          reason: { type: 'string', minLength: 1 },
+          rank: { type: 'integer', minimum: 1 }
+        }
+      }
+    },
+    individual_writeups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'taste_summary', 'personal_recs'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          taste_summary: { type: 'string', minLength: 1 },
+          personal_recs: { type: 'array', items: { type: 'string', minLength: 1 } }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate a value against the small JSON Schema subset used above.
+// Returns a list of human-readable errors (empty when valid).
+export function validate(value, schema = RESULTS_SCHEMA, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    return [`${path} should be ${schema.type}, got ${actual}`];
+  }
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}`);
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => errors.push(...validate(item, schema.items, `${path}[${idx}]`)));
+    }
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(value[key], propSchema, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+// Find the first complete JSON object in model output, ignoring code fences
+// and any chatter before or after it. Returns null if there isn't one.
+export function extractJSON(text) {
+  if (typeof text !== 'string') return null;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const source = fenced ? fenced[1] : text;
+
+  for (let start = source.indexOf('{'); start !== -1; start = source.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < source.length; i++) {
+      const ch = source[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        try {
+          return JSON.parse(source.slice(start, i + 1));
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Pull whatever is already complete out of a results response that's still
+// streaming in: the group summary once its string closes, and each
+// recommendation object once its closing brace arrives.
+export function parsePartialResults(text) {
+  const partial = {};
+
+  const summary = text.match(/"group_summary"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+  if (summary) {
+    try {
+      partial.group_summary = JSON.parse(`"${summary[1]}"`);
+    } catch {
+      // Not a complete string escape yet
+    }
+  }
+
+  const recsStart = text.search(/"recommendations"\s*:\s*\[/);
+  if (recsStart !== -1) {
+    partial.recommendations = [];
+    let depth = 0;
+    let inString = false;
+    let objStart = -1;
+    for (let i = text.indexOf('[', recsStart) + 1; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        if (depth++ === 0) objStart = i;
+      } else if (ch === '}') {
+        if (--depth === 0) {
+          try {
+            partial.recommendations.push(JSON.parse(text.slice(objStart, i + 1)));
+          } catch {
+            // Skip anything malformed; validation catches it at the end
+          }
+        }
+      } else if (ch === ']' && depth === 0) {
+        break;
+      }
+    }
+  }
+
+  return partial;
+}
+
+// Parse and validate a results response in one go
+export function parseResults(text) {
+  const data = extractJSON(text);
+  if (!data) return { data: null, errors: ['response did not contain a JSON object'] };
+  return { data, errors: validate(data) };
+}
+
+// Keep whatever parts of an invalid response are usable
+export function salvageResults(data, fallbackSummary) {
+  const validRecs = Array.isArray(data?.recommendations)
+    ? data.recommendations.filter(r => validate(r, RESULTS_SCHEMA.properties.recommendations.items).length === 0)
+    : [];
+  const validWriteups = Array.isArray(data?.individual_writeups)
+    ? data.individual_writeups.filter(w => validate(w, RESULTS_SCHEMA.properties.individual_writeups.items).length === 0)
+    : [];
+  return {
+    group_summary: typeof data?.group_summary === 'string' && data.group_summary.trim()
+      ? data.group_summary
+      : fallbackSummary,
+    recommendations: validRecs,
+    individual_writeups: validWriteups
+  };
+}
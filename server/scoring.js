@@ -0,0 +1,176 @@
+// Deterministic group-consensus scoring from swipe votes.
+// Runs without the AI so results always have something concrete to show.
+
+// How much each vote counts towards a movie's score.
+// "havent_seen" is neutral and doesn't count as an opinion.
+export const VOTE_WEIGHTS = {
+  love: 2,
+  like: 1,
+  pass: -2
+};
+
+// How the "watch tonight" list can be ranked; the host picks one per session.
+//   weighted       sum of everyone's vote weights
+//   veto           weighted, but any pass rules a movie out (the default)
+//   least_misery   by the least enthusiastic vote
+//   most_pleasure  by the most enthusiastic vote
+export const STRATEGIES = ['weighted', 'veto', 'least_misery', 'most_pleasure'];
+
+const WATCH_TONIGHT_SIZE = 5;
+
+// Movies to score: the session deck if there is one, otherwise whatever was voted on
+function collectMovies(deck, voters) {
+  if (deck?.length) {
+    return deck.map(m => ({ id: m.id, title: m.title, year: m.year, poster: m.poster, genres: m.genres || [] }));
+  }
+  const byId = new Map();
+  for (const voter of voters) {
+    for (const answer of Object.values(voter.answers)) {
+      if (!byId.has(answer.movieId)) {
+        byId.set(answer.movieId, { id: answer.movieId, title: answer.title, genres: [] });
+      }
+    }
+  }
+  return [...byId.values()];
+}
+
+// Score one movie across everyone's votes
+function scoreMovie(movie, voters) {
+  const counts = { love: 0, like: 0, pass: 0, havent_seen: 0 };
+  const weights = [];
+
+  for (const voter of voters) {
+    const vote = voter.answers[movie.id]?.vote;
+    if (!vote || !(vote in counts)) continue;
+    counts[vote]++;
+    if (vote in VOTE_WEIGHTS) {
+      weights.push(VOTE_WEIGHTS[vote]);
+    }
+  }
+
+  const weighted = weights.reduce((sum, w) => sum + w, 0);
+  return {
+    ...movie,
+    votes: counts,
+    opinions: weights.length,
+    scores: {
+      weighted,
+      veto: counts.pass > 0 ? null : weighted,
+      least_misery: weights.length ? Math.min(...weights) : null,
+      most_pleasure: weights.length ? Math.max(...weights) : null
+    }
+  };
+}
+
+// How a group's past movie nights went for a movie's genres, -1 to 1 (0 when
+// none of them have come up). genreBias is { genre: -1 to 1 }.
+function outcomeBonus(movie, genreBias) {
+  const known = (movie.genres || []).filter(g => g in genreBias);
+  if (known.length === 0) return 0;
+  return Math.round((known.reduce((sum, g) => sum + genreBias[g], 0) / known.length) * 100) / 100;
+}
+
+// Order scored movies by a strategy, best first. The outcome bonus from past
+// movie nights is added on top, which mostly settles close calls. Ties fall
+// back to the weighted sum.
+export function rankMovies(scored, strategy = 'veto') {
+  return scored
+    .filter(m => m.scores[strategy] !== null)
+    .sort((a, b) =>
+      ((b.scores[strategy] + (b.bonus || 0)) - (a.scores[strategy] + (a.bonus || 0))) ||
+      (b.scores.weighted - a.scores.weighted) ||
+      (b.votes.love - a.votes.love) ||
+      a.title.localeCompare(b.title)
+    );
+}
+
+// Average vote weight per genre for one participant, from -2 (hate) to 2 (love)
+function genreAffinity(answers, moviesById) {
+  const totals = {};
+  for (const answer of Object.values(answers)) {
+    if (!(answer.vote in VOTE_WEIGHTS)) continue;
+    for (const genre of moviesById.get(answer.movieId)?.genres || []) {
+      totals[genre] ??= { sum: 0, count: 0 };
+      totals[genre].sum += VOTE_WEIGHTS[answer.vote];
+      totals[genre].count++;
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(totals).map(([genre, t]) => [genre, Math.round((t.sum / t.count) * 100) / 100])
+  );
+}
+
+// Average the participants' genre affinities into one group vector
+function groupAffinity(individual) {
+  const totals = {};
+  for (const { genres } of individual) {
+    for (const [genre, value] of Object.entries(genres)) {
+      totals[genre] ??= { sum: 0, count: 0 };
+      totals[genre].sum += value;
+      totals[genre].count++;
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(totals)
+      .map(([genre, t]) => [genre, Math.round((t.sum / t.count) * 100) / 100])
+      .sort((a, b) => b[1] - a[1])
+  );
+}
+
+// Genre lean from a group's rated movie nights: each rating (1 to 5) maps to
+// -1 to 1, averaged per genre. history: [{ genres, averageRating }]
+export function outcomeGenreBias(history) {
+  const totals = {};
+  for (const night of history) {
+    if (night.averageRating === null || night.averageRating === undefined) continue;
+    for (const genre of night.genres || []) {
+      totals[genre] ??= { sum: 0, count: 0 };
+      totals[genre].sum += (night.averageRating - 3) / 2;
+      totals[genre].count++;
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(totals).map(([genre, t]) => [genre, Math.round((t.sum / t.count) * 100) / 100])
+  );
+}
+
+// Compute the consensus section of the results.
+// participants: [{ name, answers: { [movieId]: { movieId, title, vote } } }]
+// genreBias (from outcomeGenreBias) nudges the ranking towards genres that
+// went down well on the group's earlier movie nights.
+export function computeConsensus(participants, deck, strategy = 'veto', { genreBias = {} } = {}) {
+  const voters = participants.filter(p => p.answers && Object.keys(p.answers).length > 0);
+  const movies = collectMovies(deck, voters);
+  const moviesById = new Map(movies.map(m => [m.id, m]));
+  const scored = movies.map(m => ({ ...scoreMovie(m, voters), bonus: outcomeBonus(m, genreBias) }));
+
+  const individual = voters.map(p => ({ name: p.name, genres: genreAffinity(p.answers, moviesById) }));
+
+  let ranked = rankMovies(scored, strategy);
+  // If every movie got vetoed, fall back to the least-bad option
+  if (ranked.length === 0 && strategy === 'veto') {
+    ranked = rankMovies(scored, 'least_misery');
+  }
+
+  return {
+    strategy,
+    movies: scored,
+    genre_affinity: {
+      group: groupAffinity(individual),
+      participants: individual
+    },
+    watch_tonight: ranked
+      .filter(m => m.opinions > 0 && m.scores.weighted > 0)
+      .slice(0, WATCH_TONIGHT_SIZE)
+      .map((m, idx) => ({
+        rank: idx + 1,
+        id: m.id,
+        title: m.title,
+        year: m.year,
+        poster: m.poster,
+        score: m.scores[strategy] ?? m.scores.weighted,
+        ...(m.bonus !== 0 && { history_bonus: m.bonus }),
+        votes: m.votes
+      }))
+  };
+}
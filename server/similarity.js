@@ -0,0 +1,53 @@
+import { VOTE_WEIGHTS } from './scoring.js';
+
+// Pairwise taste similarity from swipe votes.
+// Only movies both people had an opinion on count ("havent_seen" is ignored).
+
+// Cosine similarity of two people's vote weights over their shared movies, from -1 to 1
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0, shared = 0;
+  for (const [movieId, answer] of Object.entries(a)) {
+    const wa = VOTE_WEIGHTS[answer.vote];
+    const wb = VOTE_WEIGHTS[b[movieId]?.vote];
+    if (wa === undefined || wb === undefined) continue;
+    dot += wa * wb;
+    normA += wa * wa;
+    normB += wb * wb;
+    shared++;
+  }
+  if (shared === 0) return { score: null, shared };
+  return { score: Math.round((dot / Math.sqrt(normA * normB)) * 100) / 100, shared };
+}
+
+// Build the participant-by-participant matrix plus each person's closest and most opposite match.
+// participants: [{ name, answers: { [movieId]: { vote } } }]
+export function computeSimilarity(participants) {
+  const voters = participants.filter(p => p.answers && Object.keys(p.answers).length > 0);
+  const names = voters.map(p => p.name);
+  const matrix = voters.map(() => voters.map(() => null));
+  const shared = voters.map(() => voters.map(() => 0));
+
+  for (let i = 0; i < voters.length; i++) {
+    for (let j = i; j < voters.length; j++) {
+      const result = i === j
+        ? { score: 1, shared: Object.values(voters[i].answers).filter(a => a.vote in VOTE_WEIGHTS).length }
+        : cosine(voters[i].answers, voters[j].answers);
+      matrix[i][j] = matrix[j][i] = result.score;
+      shared[i][j] = shared[j][i] = result.shared;
+    }
+  }
+
+  const matches = names.map((name, i) => {
+    const others = names
+      .map((other, j) => ({ name: other, score: matrix[i][j] }))
+      .filter((other, j) => j !== i && other.score !== null)
+      .sort((a, b) => b.score - a.score);
+    return {
+      name,
+      closest: others[0] || null,
+      opposite: others.length > 1 ? others[others.length - 1] : null
+    };
+  });
+
+  return { participants: names, matrix, shared, matches };
+}
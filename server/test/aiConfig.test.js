@@ -0,0 +1,36 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAIConfig } from '../ai.js';
+
+const KEYS = ['AI_TEMPERATURE', 'AI_RETRIES', 'AI_TIMEOUT_MS'];
+const saved = Object.fromEntries(KEYS.map(k => [k, process.env[k]]));
+
+afterEach(() => {
+  for (const k of KEYS) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+});
+
+test('empty or non-numeric settings fall back to the defaults', () => {
+  process.env.AI_TEMPERATURE = '';
+  process.env.AI_RETRIES = '';
+  process.env.AI_TIMEOUT_MS = 'soon';
+  assert.deepEqual(
+    (({ temperature, retries, timeoutMs }) => ({ temperature, retries, timeoutMs }))(getAIConfig()),
+    { temperature: 0.8, retries: 2, timeoutMs: 60000 }
+  );
+
+  process.env.AI_RETRIES = 'NaN';
+  process.env.AI_TEMPERATURE = 'warm';
+  assert.equal(getAIConfig().retries, 2);
+  assert.equal(getAIConfig().temperature, 0.8);
+});
+
+test('explicit zeroes are kept', () => {
+  process.env.AI_TEMPERATURE = '0';
+  process.env.AI_RETRIES = '0';
+  const config = getAIConfig();
+  assert.equal(config.temperature, 0);
+  assert.equal(config.retries, 0);
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { callAI } from '../ai.js';
+
+// A local OpenAI-compatible server; the path picks how it answers
+const WORDS = ['a ', 'slow ', 'but ', 'steady ', 'answer ', 'arrives'];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url.startsWith('/slow/')) {
+      // Streams for longer than the timeout, but never pauses that long
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      let i = 0;
+      const timer = setInterval(() => {
+        if (i < WORDS.length) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: WORDS[i++] } }] })}\n\n`);
+        } else {
+          clearInterval(timer);
+          res.end('data: [DONE]\n\n');
+        }
+      }, 100);
+    } else if (req.url.startsWith('/stalled/')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'then nothing' } }] })}\n\n`);
+      req.on('close', () => res.end());
+    } else {
+      // Ignores stream: true
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'all at once' } }] }));
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, { AI_PROVIDER: 'openai', AI_API_KEY: 'test-key', AI_RETRIES: '0', AI_TIMEOUT_MS: '300' });
+});
+after(() => server.close());
+
+const useServer = (route) => { process.env.AI_BASE_URL = `http://127.0.0.1:${server.address().port}/${route}`; };
+
+test('a stream longer than the timeout is read to the end', async () => {
+  useServer('slow');
+  const seen = [];
+  const text = await callAI([{ role: 'user', content: 'hi' }], 100, {}, { onDelta: (t) => seen.push(t) });
+  assert.equal(text, WORDS.join(''));
+  assert.equal(seen.length, WORDS.length);
+});
+
+test('a stream that goes quiet for the timeout is given up on', async () => {
+  useServer('stalled');
+  assert.equal(await callAI([{ role: 'user', content: 'hi' }], 100, {}, { onDelta: () => {} }), null);
+});
+
+test('a plain JSON answer to a streamed request is still used', async () => {
+  useServer('json');
+  const seen = [];
+  const text = await callAI([{ role: 'user', content: 'hi' }], 100, {}, { onDelta: (t) => seen.push(t) });
+  assert.equal(text, 'all at once');
+  assert.deepEqual(seen, ['all at once']);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tallyBallots } from '../ballot.js';
+
+// The shortlist in the AI's order, best first
+const candidates = [{ key: 'heat' }, { key: 'ronin' }, { key: 'collateral' }];
+
+test('instant-runoff drops the last place and passes its ballots on', () => {
+  const ballots = [['heat'], ['heat'], ['collateral'], ['collateral'], ['ronin', 'collateral']];
+  const result = tallyBallots(candidates, ballots, 'instant_runoff');
+
+  assert.deepEqual(result.rounds, [{ heat: 2, ronin: 1, collateral: 2 }, { heat: 2, collateral: 3 }]);
+  assert.equal(result.winner, 'collateral');
+  assert.equal(result.tie_break, null);
+  assert.deepEqual(result.tallies, [{ key: 'collateral', score: 3 }, { key: 'heat', score: 2 }, { key: 'ronin', score: 0 }]);
+});
+
+test('a Borda tie goes to the movie more people put first', () => {
+  const ballots = [['ronin', 'heat', 'collateral'], ['ronin', 'heat', 'collateral'], ['heat', 'collateral', 'ronin']];
+  const result = tallyBallots(candidates, ballots, 'borda');
+
+  assert.deepEqual(result.tallies.slice(0, 2), [{ key: 'heat', score: 4 }, { key: 'ronin', score: 4 }]);
+  assert.equal(result.winner, 'ronin', 'two first choices beat the AI ranking heat higher');
+  assert.equal(result.tie_break, 'first_choices');
+});
+
+test('an approval tie with even first choices goes to the AI\'s higher pick', () => {
+  const ballots = [['collateral', 'ronin'], ['ronin', 'collateral']];
+  const result = tallyBallots(candidates, ballots, 'approval');
+
+  assert.equal(result.winner, 'ronin');
+  assert.equal(result.tie_break, 'ai_rank');
+  assert.equal(result.ballots, 2);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tempDir } from './helpers.js';
+
+// The builder falls back to the movie cache, which lives in the database
+process.env.DB_PATH = path.join(tempDir(), 'decks.db');
+delete process.env.TMDB_API_KEY;
+
+const { seedMovieCache, listCachedMovies } = await import('../tmdb.js');
+const { buildThemedDeck, GENRE_IDS } = await import('../deckBuilder.js');
+seedMovieCache();
+
+// TMDB responses in the API's shape, trimmed to a few results per page
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/tmdb/${name}.json`, import.meta.url), 'utf8'));
+const DISCOVER = {
+  [GENRE_IDS.Horror]: fixture('discover-horror-1990s'),
+  [GENRE_IDS.Comedy]: fixture('discover-comedy-1990s'),
+  keyword: fixture('discover-heist-1990s')
+};
+const KEYWORDS = fixture('search-keyword-heist');
+
+// Stand-in for the live TMDB functions, answering from the fixtures and
+// recording the discover queries it was sent
+let queries;
+beforeEach(() => { queries = []; });
+const recorded = {
+  discover: async (params) => {
+    queries.push(params);
+    const pages = params.with_genres ? DISCOVER[params.with_genres] : DISCOVER.keyword;
+    return pages?.[Number(params.page) - 1] ?? { page: Number(params.page), results: [], total_pages: pages?.length ?? 0 };
+  },
+  searchKeyword: async (keyword) => KEYWORDS.results.find(k => k.name === keyword)?.id ?? null
+};
+const titles = (deck) => deck.map(m => m.title);
+
+test('genres take turns so each gets its share of the deck', async () => {
+  const deck = await buildThemedDeck({ genres: ['Horror', 'Comedy'], decade: 1990 }, { size: 8, tmdb: recorded });
+  assert.deepEqual(titles(deck), [
+    'Scream', 'Groundhog Day',
+    'Candyman', 'Army of Darkness',
+    'Misery', 'Home Alone',
+    'The Blair Witch Project', 'The Big Lebowski'
+  ]);
+  assert.deepEqual(deck[0], { id: 4232, title: 'Scream', year: '1996' });
+
+  // Each genre is its own query, narrowed to the decade
+  assert.deepEqual([...new Set(queries.map(q => q.with_genres))], ['27', '35']);
+  assert.ok(queries.every(q => q['primary_release_date.gte'] === '1990-01-01' && q['primary_release_date.lte'] === '1999-12-31'));
+});
+
+test('a movie in more than one genre is only dealt once', async () => {
+  const deck = await buildThemedDeck({ genres: ['Horror', 'Comedy'] }, { size: 30, tmdb: recorded });
+  const ids = deck.map(m => m.id);
+  assert.equal(new Set(ids).size, ids.length);
+  // Army of Darkness and Braindead are in both lists; 10 horror + 6 comedy - 2 shared
+  assert.equal(deck.length, 14);
+  assert.equal(titles(deck).filter(t => t === 'Army of Darkness').length, 1);
+});
+
+test('discover pages are fetched until there are enough movies', async () => {
+  await buildThemedDeck({ genres: ['Horror'] }, { size: 4, tmdb: recorded });
+  assert.deepEqual(queries.map(q => q.page), ['1', '2'], 'a page of 5 is short of twice the share');
+
+  queries = [];
+  await buildThemedDeck({ genres: ['Horror'] }, { size: 2, tmdb: recorded });
+  assert.deepEqual(queries.map(q => q.page), ['1']);
+
+  queries = [];
+  await buildThemedDeck({ genres: ['Comedy'] }, { size: 10, tmdb: recorded });
+  assert.deepEqual(queries.map(q => q.page), ['1'], 'no asking past the last page');
+});
+
+test('without genres, the deck is balanced across each movie\'s main genre', async () => {
+  const deck = await buildThemedDeck({ keyword: 'heist', decade: 1990 }, { size: 5, tmdb: recorded });
+  assert.equal(queries[0].with_keywords, '10051');
+  // Crime, action and drama lead in turn before crime comes round again
+  assert.deepEqual(titles(deck), ['Reservoir Dogs', 'Heat', 'The Usual Suspects', 'Jackie Brown', 'Point Break']);
+});
+
+test('a keyword TMDB doesn\'t know gives an empty deck', async () => {
+  const deck = await buildThemedDeck({ keyword: 'zeppelin piracy', genres: ['Horror'] }, { tmdb: recorded });
+  assert.deepEqual(deck, []);
+  assert.equal(queries.length, 0);
+});
+
+test('constraints narrow the discover query', async () => {
+  await buildThemedDeck({ genres: ['Horror'], decade: 1990 }, {
+    size: 2,
+    constraints: { minYear: 1995, maxRuntime: 100, excludeGenres: ['War', 'Romance'], language: 'en' },
+    tmdb: recorded
+  });
+  const [query] = queries;
+  assert.equal(query['primary_release_date.gte'], '1995-01-01');
+  assert.equal(query['primary_release_date.lte'], '1999-12-31');
+  assert.equal(query['with_runtime.lte'], '100');
+  assert.equal(query.without_genres, `${GENRE_IDS.War},${GENRE_IDS.Romance}`);
+  assert.equal(query.with_original_language, 'en');
+});
+
+test('offline, the movie cache stands in for discover', async () => {
+  const offline = { discover: async () => undefined, searchKeyword: async () => undefined };
+  const cached = listCachedMovies();
+
+  const deck = await buildThemedDeck({ genres: ['Comedy'] }, { size: 5, tmdb: offline });
+  assert.ok(deck.length > 0);
+  for (const movie of deck) {
+    assert.ok(cached.find(m => m.id === movie.id).genres.includes('Comedy'), `${movie.title} is a comedy`);
+  }
+
+  // Couldn't look the keyword up: skip TMDB and match titles and overviews in the cache
+  const keywordDeck = await buildThemedDeck({ keyword: 'family' }, { size: 30, tmdb: offline });
+  assert.ok(keywordDeck.length > 0);
+  for (const movie of keywordDeck) {
+    const m = cached.find(c => c.id === movie.id);
+    assert.match(`${m.title} ${m.overview}`.toLowerCase(), /family/);
+  }
+});
+
+test('TMDB failing partway keeps the pages that arrived', async () => {
+  const flaky = { ...recorded, discover: async (params) => params.page === '1' ? recorded.discover(params) : undefined };
+  const deck = await buildThemedDeck({ genres: ['Horror'] }, { size: 10, tmdb: flaky });
+  assert.deepEqual(titles(deck), ['Scream', 'Candyman', 'Misery', 'Army of Darkness', 'The Blair Witch Project']);
+});
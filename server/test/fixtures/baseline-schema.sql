@@ -0,0 +1,25 @@
+-- A database from before versioned migrations: only the original sessions and
+-- participants tables, with one finished session in them.
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  status TEXT DEFAULT 'lobby',
+  host_name TEXT,
+  results TEXT,
+  created_at INTEGER DEFAULT (unixepoch())
+);
+
+CREATE TABLE participants (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  answers TEXT,
+  completed INTEGER DEFAULT 0,
+  created_at INTEGER DEFAULT (unixepoch()),
+  FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+CREATE INDEX idx_session ON participants(session_id);
+
+INSERT INTO sessions (id, status, host_name, results) VALUES ('old12345', 'complete', 'Ana', '{"group_summary":"Likes thrillers","recommendations":[]}');
+INSERT INTO participants (id, session_id, name, answers, completed) VALUES ('p1', 'old12345', 'Ana', '{"603":{"movieId":603,"title":"The Matrix","vote":"love"}}', 1);
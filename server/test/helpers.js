@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_DIR = path.join(__dirname, '..');
+
+// A throwaway directory for a test's database, removed when the test process exits
+export function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Start the real server on a fresh database with the mock AI provider and no
+// TMDB key, so nothing leaves the machine. Extra env overrides the defaults.
+export async function startServer(env = {}) {
+  const dbPath = path.join(tempDir(), 'test.db');
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: { ...process.env, PORT: String(port), DB_PATH: dbPath, AI_PROVIDER: 'mock', TMDB_API_KEY: '', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  // Don't leave a server behind if a test fails before stopping it
+  process.on('exit', () => child.kill());
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 15000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+  return {
+    url,
+    dbPath,
+    // JSON request; resolves to { status, body }
+    async request(method, route, body, headers = {}) {
+      const res = await fetch(`${url}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    stop() {
+      child.kill();
+    }
+  };
+}
+
+export const participantHeaders = (p) => ({ 'X-Participant-Id': p.participantId, 'X-Participant-Token': p.participantToken });
+export const hostHeaders = (hostToken) => ({ 'X-Host-Token': hostToken });
+
+// Host creates a session and the others join. Returns the session id, host
+// token and each participant's { participantId, participantToken }, host first.
+export async function createSession(server, names = ['Ana', 'Ben']) {
+  const [hostName, ...guests] = names;
+  const created = await server.request('POST', '/api/session', { hostName });
+  const { id, hostToken } = created.body;
+  const participants = [{ participantId: created.body.participantId, participantToken: created.body.participantToken }];
+  for (const name of guests) {
+    const joined = await server.request('POST', `/api/session/${id}/join`, { name });
+    participants.push({ participantId: joined.body.id, participantToken: joined.body.participantToken });
+  }
+  return { id, hostToken, participants };
+}
+
+// Start the quiz and return the deck
+export async function startQuiz(server, session) {
+  await server.request('POST', `/api/session/${session.id}/generate`, {}, hostHeaders(session.hostToken));
+  return (await server.request('GET', `/api/session/${session.id}/deck`)).body.movies;
+}
+
+// Vote on every card in the deck, cycling through the given votes
+export async function voteAll(server, session, participant, deck, votes = ['love', 'like', 'pass']) {
+  for (const [i, movie] of deck.entries()) {
+    await server.request('POST', `/api/session/${session.id}/vote`,
+      { movieId: movie.id, vote: votes[i % votes.length] }, participantHeaders(participant));
+  }
+}
+
+// Submit the way the client does, sending back the answers autosaved so far
+export async function submit(server, session, participant) {
+  const headers = participantHeaders(participant);
+  const { answers } = (await server.request('GET', `/api/session/${session.id}/answers`, undefined, headers)).body;
+  return server.request('POST', `/api/session/${session.id}/submit`, { participantId: participant.participantId, answers }, headers);
+}
+
+// Poll the session until its status is one of the given ones
+export async function waitForStatus(server, sessionId, statuses = ['complete', 'failed'], timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body } = await server.request('GET', `/api/session/${sessionId}`);
+    if (statuses.includes(body.status)) return body;
+    await new Promise(r => setTimeout(r, 200));
+  }
+  throw new Error(`Session ${sessionId} never reached ${statuses.join(' or ')}`);
+}
@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, hostHeaders, participantHeaders } from './helpers.js';
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const HOST_ROUTES = [
+  ['generate', {}],
+  ['close', {}],
+  ['settings', { allowRewatches: true }]
+];
+
+test('host-only routes refuse a missing or wrong token', async () => {
+  const session = await createSession(server);
+  for (const [route, body] of HOST_ROUTES) {
+    const missing = await server.request('POST', `/api/session/${session.id}/${route}`, body);
+    assert.equal(missing.status, 403, `${route} without a token`);
+    const wrong = await server.request('POST', `/api/session/${session.id}/${route}`, body, hostHeaders('not-the-token'));
+    assert.equal(wrong.status, 403, `${route} with the wrong token`);
+    const otherSession = await createSession(server, ['Cy']);
+    const borrowed = await server.request('POST', `/api/session/${session.id}/${route}`, body, hostHeaders(otherSession.hostToken));
+    assert.equal(borrowed.status, 403, `${route} with another session's token`);
+  }
+
+  const { body } = await server.request('GET', `/api/session/${session.id}`);
+  assert.equal(body.status, 'lobby', 'nothing changed');
+  assert.equal(body.allow_rewatches, 0);
+});
+
+test('handing off host rights lets the new host claim a token once', async () => {
+  const session = await createSession(server);
+  const [, ben] = session.participants;
+
+  const handoff = await server.request('POST', `/api/session/${session.id}/host`, { participantId: ben.participantId }, hostHeaders(session.hostToken));
+  assert.equal(handoff.status, 200);
+
+  // Only the new host can claim
+  const stranger = await server.request('POST', `/api/session/${session.id}/host/claim`, {}, participantHeaders(session.participants[0]));
+  assert.equal(stranger.status, 403);
+
+  const claim = await server.request('POST', `/api/session/${session.id}/host/claim`, {}, participantHeaders(ben));
+  assert.equal(claim.status, 200);
+  assert.ok(claim.body.hostToken);
+
+  const again = await server.request('POST', `/api/session/${session.id}/host/claim`, {}, participantHeaders(ben));
+  assert.equal(again.status, 409);
+
+  // The new token works and the old one doesn't
+  const oldHost = await server.request('POST', `/api/session/${session.id}/settings`, { allowRewatches: true }, hostHeaders(session.hostToken));
+  assert.equal(oldHost.status, 403);
+  const newHost = await server.request('POST', `/api/session/${session.id}/settings`, { allowRewatches: true }, hostHeaders(claim.body.hostToken));
+  assert.equal(newHost.status, 200);
+  assert.equal((await server.request('GET', `/api/session/${session.id}`)).body.host_participant_id, ben.participantId);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { tempDir } from './helpers.js';
+import { loadMigrations, migrationStatus, runMigrations } from '../migrations/index.js';
+
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BASELINE = fs.readFileSync(new URL('./fixtures/baseline-schema.sql', import.meta.url), 'utf8');
+
+// A database file shaped like one from before versioned migrations
+function baselineDatabase() {
+  const file = path.join(tempDir(), 'baseline.db');
+  const db = new Database(file);
+  db.exec(BASELINE);
+  return { file, db };
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+const hasTable = (db, name) => Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+
+test('a baseline database is migrated to the current schema', async () => {
+  const { db } = baselineDatabase();
+  const migrations = await loadMigrations();
+
+  const ran = await runMigrations(db);
+  assert.deepEqual(ran.map(m => m.version), migrations.map(m => m.version));
+
+  const versions = db.prepare('SELECT version, name FROM schema_version ORDER BY version').all();
+  assert.deepEqual(versions, migrations.map(({ version, name }) => ({ version, name })));
+
+  for (const column of ['deck', 'allow_rewatches', 'host_participant_id', 'host_token', 'host_claimed', 'results_error',
+    'final_vote', 'constraints', 'streaming', 'deck_ids', 'deck_theme', 'deck_mode', 'crew_id', 'pinned_until']) {
+    assert.ok(columns(db, 'sessions').includes(column), `sessions.${column}`);
+  }
+  for (const column of ['token', 'rejoin_code', 'ballot', 'cards', 'profile_id']) {
+    assert.ok(columns(db, 'participants').includes(column), `participants.${column}`);
+  }
+  for (const table of ['movie_cache', 'watch_provider_cache', 'result_versions', 'decks', 'profiles', 'profile_votes',
+    'crews', 'watch_history', 'movie_search_cache', 'archived_results']) {
+    assert.ok(hasTable(db, table), table);
+  }
+
+  // Existing rows survive and pick up the new columns' defaults
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get('old12345');
+  assert.equal(session.status, 'complete');
+  assert.equal(session.host_claimed, 1);
+  assert.equal(session.deck_mode, 'static');
+  assert.equal(session.pinned_until, null);
+  assert.equal(db.prepare('SELECT answers FROM participants WHERE id = ?').get('p1').answers,
+    '{"603":{"movieId":603,"title":"The Matrix","vote":"love"}}');
+
+  assert.deepEqual(await runMigrations(db), [], 'nothing left to run');
+  db.close();
+});
+
+test('migrating up to a target stops there', async () => {
+  const { db } = baselineDatabase();
+  await runMigrations(db, { target: 1 });
+  const status = await migrationStatus(db);
+  assert.equal(status.current, 1);
+  assert.deepEqual(status.pending.map(m => m.version), (await loadMigrations()).slice(1).map(m => m.version));
+  assert.ok(!columns(db, 'sessions').includes('pinned_until'));
+  db.close();
+});
+
+test('status reads without writing', async () => {
+  const { file, db } = baselineDatabase();
+  db.close();
+  const readonly = new Database(file, { readonly: true });
+  const status = await migrationStatus(readonly);
+  readonly.close();
+  assert.equal(status.current, 0);
+  assert.equal(status.pending.length, status.latest);
+
+  const reopened = new Database(file, { readonly: true });
+  assert.ok(!hasTable(reopened, 'schema_version'), 'no schema_version table was created');
+  reopened.close();
+});
+
+test('migrate:status neither creates nor changes the database', () => {
+  const dir = tempDir();
+  const run = (file) => execFileSync(process.execPath, ['migrate.js', 'status'], {
+    cwd: SERVER_DIR,
+    env: { ...process.env, DB_PATH: file },
+    encoding: 'utf8'
+  });
+
+  const missing = path.join(dir, 'missing', 'none.db');
+  assert.match(run(missing), /No database yet/);
+  assert.ok(!fs.existsSync(missing));
+  assert.ok(!fs.existsSync(path.dirname(missing)));
+
+  const { file, db } = baselineDatabase();
+  db.close();
+  const before = fs.readFileSync(file);
+  assert.match(run(file), /Schema version 0 of \d+/);
+  assert.ok(before.equals(fs.readFileSync(file)), 'the file is unchanged');
+});
+
+test('watch ratings move from names to participant ids', async () => {
+  const { db } = baselineDatabase();
+  await runMigrations(db, { target: 4 });
+  db.exec(`
+    INSERT INTO sessions (id, host_name) VALUES ('rate1234', 'Ana');
+    INSERT INTO participants (id, session_id, name) VALUES ('ana', 'rate1234', 'Ana'), ('sam1', 'rate1234', 'Sam'), ('sam2', 'rate1234', 'Sam');
+    INSERT INTO watch_history (session_id, title, ratings) VALUES ('rate1234', 'Heat', '{"Ana":5,"Sam":2}'), ('gone5678', 'Ronin', '{"Bo":4}');
+  `);
+
+  await runMigrations(db);
+  const ratings = (sessionId) => JSON.parse(db.prepare('SELECT ratings FROM watch_history WHERE session_id = ?').get(sessionId).ratings);
+  assert.deepEqual(ratings('rate1234'), { ana: 5, Sam: 2 }, 'a name two people share stays as it was');
+  assert.deepEqual(ratings('gone5678'), { Bo: 4 }, 'so do names from sessions that are gone');
+  db.close();
+});
@@ -0,0 +1,163 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tempDir } from './helpers.js';
+
+// The cache modules open the database on import, so point them at a
+// throwaway one first
+process.env.DB_PATH = path.join(tempDir(), 'cache.db');
+process.env.TMDB_API_KEY = 'test-key';
+delete process.env.MOVIE_CACHE_TTL_HOURS;
+delete process.env.TMDB_TIMEOUT_MS;
+
+const { default: db } = await import('../db.js');
+const tmdb = await import('../tmdb.js');
+
+const SEED = JSON.parse(fs.readFileSync(new URL('../data/movies-seed.json', import.meta.url), 'utf8'));
+const HOUR = 60 * 60;
+const now = () => Math.floor(Date.now() / 1000);
+
+// Stand-in for TMDB: answers from a route table and records every request
+const realFetch = globalThis.fetch;
+let requests;
+let routes;
+function tmdbResponds(match, response) {
+  routes.push({ match, response });
+}
+
+beforeEach(() => {
+  requests = [];
+  routes = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push(String(url));
+    const route = routes.find(r => String(url).includes(r.match));
+    if (!route) throw new Error('TMDB unreachable');
+    if (route.response.hang) {
+      // Accepts the connection but doesn't answer for a long time, unless the caller gives up
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('TMDB never answered')), 3000);
+        options?.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(options.signal.reason);
+        });
+      });
+    }
+    const { status = 200, body } = route.response;
+    return new Response(JSON.stringify(body), { status });
+  };
+});
+afterEach(() => { globalThis.fetch = realFetch; });
+
+before(() => {
+  db.prepare('DELETE FROM movie_cache').run();
+  db.prepare('DELETE FROM movie_search_cache').run();
+});
+
+function tmdbMovie(id, title) {
+  return { id, title, release_date: '2001-05-04', poster_path: null, overview: '', genres: [{ name: 'Drama' }], vote_average: 7, runtime: 100, original_language: 'en', release_dates: { results: [] } };
+}
+
+test('the seed fills the cache once, with stale rows', () => {
+  assert.equal(tmdb.seedMovieCache(), SEED.length);
+  assert.equal(tmdb.seedMovieCache(), 0, 'seeding again adds nothing');
+
+  const cached = tmdb.getCachedMovie(SEED[0].id);
+  assert.equal(cached.movie.title, SEED[0].title);
+  assert.equal(cached.fresh, false, 'seed rows are refreshed from TMDB when it is reachable');
+});
+
+test('fresh cache entries are served without asking TMDB', async () => {
+  tmdb.cacheMovie({ id: 1001, title: 'Cached Film', genres: ['Drama'] });
+  const movie = await tmdb.fetchMovieDetails(1001);
+  assert.equal(movie.title, 'Cached Film');
+  assert.equal(requests.length, 0);
+});
+
+test('entries older than the TTL are fetched again', async () => {
+  tmdb.cacheMovie({ id: 1002, title: 'Old Title', genres: [] }, now() - 8 * 24 * HOUR);
+  tmdbResponds('/movie/1002', { body: tmdbMovie(1002, 'New Title') });
+
+  const movie = await tmdb.fetchMovieDetails(1002);
+  assert.equal(movie.title, 'New Title');
+  assert.equal(requests.length, 1);
+  assert.equal(tmdb.getCachedMovie(1002).fresh, true, 'the refreshed entry is fresh again');
+});
+
+test('MOVIE_CACHE_TTL_HOURS shortens the TTL', async () => {
+  process.env.MOVIE_CACHE_TTL_HOURS = '1';
+  try {
+    tmdb.cacheMovie({ id: 1003, title: 'Two Hours Old', genres: [] }, now() - 2 * HOUR);
+    assert.equal(tmdb.getCachedMovie(1003).fresh, false);
+  } finally {
+    delete process.env.MOVIE_CACHE_TTL_HOURS;
+  }
+  assert.equal(tmdb.getCachedMovie(1003).fresh, true);
+});
+
+test('a stale entry is used when TMDB fails', async () => {
+  tmdb.cacheMovie({ id: 1004, title: 'Stale But Fine', genres: [] }, now() - 30 * 24 * HOUR);
+  tmdbResponds('/movie/1004', { status: 500, body: {} });
+  assert.equal((await tmdb.fetchMovieDetails(1004)).title, 'Stale But Fine');
+
+  // Unreachable (fetch throws) falls back the same way
+  tmdb.cacheMovie({ id: 1005, title: 'Also Stale', genres: [] }, now() - 30 * 24 * HOUR);
+  assert.equal((await tmdb.fetchMovieDetails(1005)).title, 'Also Stale');
+  assert.equal(requests.length, 2);
+});
+
+test('a TMDB that never answers times out and the cache is used', async () => {
+  process.env.TMDB_TIMEOUT_MS = '100';
+  try {
+    tmdb.cacheMovie({ id: 1007, title: 'Patiently Cached', genres: [] }, now() - 30 * 24 * HOUR);
+    tmdbResponds('/movie/1007', { hang: true });
+    tmdbResponds('/search/movie', { hang: true });
+
+    const started = Date.now();
+    assert.equal((await tmdb.fetchMovieDetails(1007)).title, 'Patiently Cached');
+    assert.equal(await tmdb.searchMovie('Never Answered'), null);
+    assert.ok(Date.now() - started < 2000, 'both calls gave up quickly');
+  } finally {
+    delete process.env.TMDB_TIMEOUT_MS;
+  }
+});
+
+test('searchMovie finds cached titles without asking TMDB', async () => {
+  const movie = await tmdb.searchMovie(SEED[0].title.toUpperCase(), SEED[0].year);
+  assert.equal(movie.id, SEED[0].id);
+  assert.equal(requests.length, 0);
+});
+
+test('searchMovie remembers misses so a made-up title is only searched once', async () => {
+  tmdbResponds('/search/movie', { body: { results: [] } });
+
+  assert.equal(await tmdb.searchMovie('A Film That Does Not Exist', 1999), null);
+  assert.equal(requests.length, 1);
+  const row = db.prepare('SELECT * FROM movie_search_cache WHERE query = ?').get('film that does not exist|1999');
+  assert.equal(row.movie_id, null);
+
+  assert.equal(await tmdb.searchMovie('A Film That Does Not Exist', 1999), null);
+  assert.equal(requests.length, 1, 'the cached miss answers the second search');
+});
+
+test('searchMovie caches hits and fetches their details', async () => {
+  tmdbResponds('/search/movie', { body: { results: [{ id: 1006, title: 'Found Film', original_title: 'Found Film' }] } });
+  tmdbResponds('/movie/1006', { body: tmdbMovie(1006, 'Found Film') });
+
+  assert.equal((await tmdb.searchMovie('Found Film')).id, 1006);
+  assert.equal(db.prepare('SELECT movie_id FROM movie_search_cache WHERE query = ?').get('found film|').movie_id, 1006);
+  requests = [];
+  assert.equal((await tmdb.searchMovie('Found Film')).id, 1006);
+  assert.equal(requests.length, 0);
+});
+
+test('searchMovie doesn\'t remember a miss when TMDB couldn\'t be asked', async () => {
+  assert.equal(await tmdb.searchMovie('Unreachable Film'), null);
+  assert.equal(db.prepare('SELECT 1 FROM movie_search_cache WHERE query = ?').get('unreachable film|'), undefined);
+
+  // An expired miss is searched again
+  db.prepare('INSERT INTO movie_search_cache (query, movie_id, fetched_at) VALUES (?, NULL, ?)').run('expired miss|', now() - 30 * 24 * HOUR);
+  tmdbResponds('/search/movie', { body: { results: [] } });
+  await tmdb.searchMovie('Expired Miss');
+  assert.equal(requests.filter(u => u.includes('/search/movie')).length, 2);
+});
@@ -0,0 +1,45 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, startQuiz, voteAll, submit, participantHeaders } from './helpers.js';
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+// Send requests until the limiter steps in; returns how many got through
+async function exhaust(route, body, max = 30) {
+  for (let i = 0; i < max; i++) {
+    const res = await server.request('POST', route, body);
+    if (res.status === 429) return i;
+  }
+  return max;
+}
+
+test('deck creation has its own budget, separate from sessions', async () => {
+  assert.equal(await exhaust('/api/decks', { name: 'Budget test', movieIds: [496243] }), 20);
+  assert.equal((await server.request('POST', '/api/decks/import', {})).status, 429, 'imports share the deck budget');
+
+  const session = await server.request('POST', '/api/session', { hostName: 'Ana' });
+  assert.equal(session.status, 200, 'hosting a session still works');
+});
+
+test('profile creation has its own budget', async () => {
+  assert.equal(await exhaust('/api/profile', { name: 'Ana' }), 10);
+  assert.equal((await server.request('POST', '/api/session', { hostName: 'Ana' })).status, 200);
+});
+
+test('crew creation has its own budget', async () => {
+  assert.equal(await exhaust('/api/crews', { name: 'Friday film club' }), 10);
+  assert.equal((await server.request('POST', '/api/session', { hostName: 'Ana' })).status, 200);
+});
+
+test('a group sharing an IP can all swipe through the deck', async () => {
+  const session = await createSession(server, ['Ana', 'Ben', 'Cy', 'Dee', 'Eli', 'Fay']);
+  const deck = await startQuiz(server, session);
+  for (const p of session.participants) {
+    const cards = await server.request('GET', `/api/session/${session.id}/cards`, undefined, participantHeaders(p));
+    assert.equal(cards.status, 200);
+    await voteAll(server, session, p, deck);
+    assert.equal((await submit(server, session, p)).status, 200, 'votes are limited per participant, not per IP');
+  }
+});
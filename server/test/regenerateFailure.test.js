@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, startQuiz, voteAll, submit, waitForStatus, hostHeaders } from './helpers.js';
+
+// No usable AI provider: first results fall back to the computed ranking
+let server;
+before(async () => { server = await startServer({ AI_PROVIDER: 'unavailable' }); });
+after(() => server.stop());
+
+test('a regeneration without the AI keeps the previous results', async () => {
+  const session = await createSession(server, ['Ana', 'Ben']);
+  const deck = await startQuiz(server, session);
+  for (const p of session.participants) {
+    await voteAll(server, session, p, deck);
+    await submit(server, session, p);
+  }
+  const first = await waitForStatus(server, session.id);
+  assert.equal(first.status, 'complete');
+  const previous = JSON.parse(first.results);
+  assert.ok(previous.warnings.some(w => w.includes('AI analysis unavailable')), 'first results are the computed fallback');
+
+  const regen = await server.request('POST', `/api/session/${session.id}/regenerate`, { feedback: 'more comedies' }, hostHeaders(session.hostToken));
+  assert.equal(regen.status, 200);
+
+  // Wait for the job to finish: it records why it failed
+  let after;
+  for (let i = 0; i < 50; i++) {
+    after = (await server.request('GET', `/api/session/${session.id}`)).body;
+    if (after.status !== 'generating' && after.results_error) break;
+    await new Promise(r => setTimeout(r, 200));
+  }
+  assert.equal(after.status, 'complete');
+  assert.match(after.results_error, /AI analysis unavailable/);
+  assert.deepEqual(JSON.parse(after.results), previous);
+
+  const { versions } = (await server.request('GET', `/api/session/${session.id}/results/versions`)).body;
+  assert.equal(versions.length, 1, 'no empty version was saved');
+});
@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { startServer, createSession, startQuiz, voteAll, submit, waitForStatus, hostHeaders } from './helpers.js';
+
+let server;
+beforeEach(async () => { server = await startServer(); });
+afterEach(() => server.stop());
+
+async function versionsOf(sessionId) {
+  return (await server.request('GET', `/api/session/${sessionId}/results/versions`)).body.versions;
+}
+
+// A session where everyone has voted but nobody has submitted yet
+async function votedSession(names) {
+  const session = await createSession(server, names);
+  const deck = await startQuiz(server, session);
+  for (const p of session.participants) await voteAll(server, session, p, deck);
+  return session;
+}
+
+test('simultaneous final submits start exactly one job', async () => {
+  const session = await votedSession(['Ana', 'Ben', 'Cy']);
+  const [ana, ben, cy] = session.participants;
+  await submit(server, session, ana);
+
+  const responses = await Promise.all([submit(server, session, ben), submit(server, session, cy)]);
+  assert.deepEqual(responses.map(r => r.status), [200, 200]);
+  assert.ok(responses.some(r => r.body.allCompleted));
+
+  assert.equal((await waitForStatus(server, session.id)).status, 'complete');
+  assert.equal((await versionsOf(session.id)).length, 1, 'one job, one version');
+});
+
+test('closing while the last submit lands starts exactly one job', async () => {
+  const session = await votedSession(['Ana', 'Ben']);
+  const [ana, ben] = session.participants;
+  await submit(server, session, ana);
+
+  const [submitted, closed] = await Promise.all([
+    submit(server, session, ben),
+    server.request('POST', `/api/session/${session.id}/close`, {}, hostHeaders(session.hostToken))
+  ]);
+  // Whichever lands second finds the job already running
+  assert.ok([200, 409].includes(submitted.status));
+  assert.ok([200, 409].includes(closed.status));
+  assert.ok(submitted.status === 200 || closed.status === 200);
+
+  assert.equal((await waitForStatus(server, session.id)).status, 'complete');
+  assert.equal((await versionsOf(session.id)).length, 1, 'one job, one version');
+  const again = await server.request('POST', `/api/session/${session.id}/close`, {}, hostHeaders(session.hostToken));
+  assert.equal(again.status, 409);
+});
+
+test('a failed generation can be retried by the host', async () => {
+  const session = await votedSession(['Ana', 'Ben']);
+  const [ana] = session.participants;
+  await submit(server, session, ana);
+
+  // Nothing has failed yet
+  const early = await server.request('POST', `/api/session/${session.id}/retry`, {}, hostHeaders(session.hostToken));
+  assert.equal(early.status, 409);
+
+  // What the server leaves behind when it restarts mid-generation
+  const db = new Database(server.dbPath);
+  db.prepare("UPDATE sessions SET status = 'failed', results_error = 'Server restarted while generating results' WHERE id = ?").run(session.id);
+  db.close();
+
+  const stranger = await server.request('POST', `/api/session/${session.id}/retry`, {});
+  assert.equal(stranger.status, 403);
+
+  const retried = await server.request('POST', `/api/session/${session.id}/retry`, {}, hostHeaders(session.hostToken));
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.status, 'generating');
+
+  const done = await waitForStatus(server, session.id);
+  assert.equal(done.status, 'complete');
+  assert.ok(JSON.parse(done.results).recommendations.length > 0);
+  assert.equal((await versionsOf(session.id)).length, 1);
+
+  const twice = await server.request('POST', `/api/session/${session.id}/retry`, {}, hostHeaders(session.hostToken));
+  assert.equal(twice.status, 409);
+});
+
+// Everyone submits and the first results come in
+async function completedSession(names = ['Ana', 'Ben']) {
+  const session = await votedSession(names);
+  for (const p of session.participants) await submit(server, session, p);
+  await waitForStatus(server, session.id);
+  return session;
+}
+
+test('a regeneration saves the revised results as a new version', async () => {
+  const session = await completedSession();
+  const regen = await server.request('POST', `/api/session/${session.id}/regenerate`, { feedback: 'something lighter' }, hostHeaders(session.hostToken));
+  assert.equal(regen.status, 200);
+
+  const done = await waitForStatus(server, session.id, ['complete'], 10000);
+  const versions = await versionsOf(session.id);
+  assert.equal(versions.length, 2);
+  assert.equal(versions[1].update_reason, 'something lighter');
+  assert.equal(JSON.parse(done.results).version, 2);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeConsensus, STRATEGIES } from '../scoring.js';
+
+const deck = [
+  { id: 1, title: 'Crowd Pleaser', genres: ['Comedy'] },
+  { id: 2, title: 'Divisive', genres: ['Horror'] },
+  { id: 3, title: 'Safe Bet', genres: ['Drama'] }
+];
+const votes = (byId) => Object.fromEntries(Object.entries(byId).map(([id, vote]) => [id, { movieId: Number(id), vote }]));
+const participants = [
+  { name: 'Ana', answers: votes({ 1: 'love', 2: 'love', 3: 'like' }) },
+  { name: 'Ben', answers: votes({ 1: 'love', 2: 'love', 3: 'like' }) },
+  { name: 'Cy', answers: votes({ 1: 'pass', 2: 'pass', 3: 'like' }) },
+  { name: 'Dee', answers: votes({ 1: 'love', 2: 'like', 3: 'havent_seen' }) }
+];
+const ranking = (strategy) => computeConsensus(participants, deck, strategy).watch_tonight.map(m => m.title);
+
+test('every strategy produces a ranking and reports which one it used', () => {
+  for (const strategy of STRATEGIES) {
+    const consensus = computeConsensus(participants, deck, strategy);
+    assert.equal(consensus.strategy, strategy);
+    assert.ok(consensus.watch_tonight.length > 0, strategy);
+  }
+});
+
+test('strategies rank the same votes differently', () => {
+  // Loves outweigh likes on the total, but one pass rules a movie out under veto
+  assert.deepEqual(ranking('weighted'), ['Crowd Pleaser', 'Divisive', 'Safe Bet']);
+  assert.deepEqual(ranking('veto'), ['Safe Bet']);
+  assert.deepEqual(ranking('least_misery'), ['Safe Bet', 'Crowd Pleaser', 'Divisive']);
+  assert.equal(ranking('most_pleasure')[0], 'Crowd Pleaser');
+});
@@ -0,0 +1,136 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, startQuiz, voteAll, submit, waitForStatus, participantHeaders, hostHeaders } from './helpers.js';
+
+// A server per test keeps each one under the API rate limit
+let server;
+beforeEach(async () => { server = await startServer(); });
+afterEach(() => server.stop());
+
+test('create, join, vote, submit and get results with the mock provider', async () => {
+  const session = await createSession(server, ['Ana', 'Ben']);
+  const [ana, ben] = session.participants;
+
+  const deck = await startQuiz(server, session);
+  assert.ok(deck.length > 0, 'the quiz deals a deck');
+  assert.equal((await server.request('GET', `/api/session/${session.id}`)).body.status, 'collecting');
+
+  await voteAll(server, session, ana, deck, ['love', 'like']);
+  await voteAll(server, session, ben, deck, ['like', 'pass', 'havent_seen']);
+
+  const first = await submit(server, session, ana);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.allCompleted, false);
+  const second = await submit(server, session, ben);
+  assert.equal(second.body.allCompleted, true);
+
+  assert.equal((await waitForStatus(server, session.id)).status, 'complete');
+  const { body } = await server.request('GET', `/api/session/${session.id}/results`);
+  assert.ok(body.results.recommendations.length > 0, 'the mock provider recommends something');
+  assert.deepEqual(body.results.individual_writeups.map(w => w.name).sort(), ['Ana', 'Ben']);
+  assert.equal(body.participants.filter(p => p.completed).length, 2);
+});
+
+test('submitting with the participant headers alone marks that participant done', async () => {
+  const session = await createSession(server, ['Ana', 'Ben']);
+  const [ana] = session.participants;
+  const deck = await startQuiz(server, session);
+  await voteAll(server, session, ana, deck);
+
+  const headers = participantHeaders(ana);
+  const { answers } = (await server.request('GET', `/api/session/${session.id}/answers`, undefined, headers)).body;
+  const res = await server.request('POST', `/api/session/${session.id}/submit`, { answers }, headers);
+  assert.equal(res.status, 200);
+
+  const { body } = await server.request('GET', `/api/session/${session.id}`);
+  assert.equal(body.participants.find(p => p.id === ana.participantId).completed, 1);
+});
+
+test('votes are only taken while collecting and before submitting', async () => {
+  const session = await createSession(server, ['Ana', 'Ben']);
+  const [ana] = session.participants;
+  const headers = participantHeaders(ana);
+
+  const early = await server.request('POST', `/api/session/${session.id}/vote`, { movieId: 1, vote: 'love' }, headers);
+  assert.equal(early.status, 409, 'no votes before the quiz starts');
+
+  const deck = await startQuiz(server, session);
+  await voteAll(server, session, ana, deck);
+  assert.equal((await submit(server, session, ana)).status, 200);
+
+  const late = await server.request('POST', `/api/session/${session.id}/vote`, { movieId: deck[0].id, vote: 'pass' }, headers);
+  assert.equal(late.status, 409, 'no changes after submitting');
+  const { answers } = (await server.request('GET', `/api/session/${session.id}/answers`, undefined, headers)).body;
+  assert.equal(answers[deck[0].id].vote, 'love');
+});
+
+test('submit finalizes the autosaved votes and rejects bad answers', async () => {
+  const session = await createSession(server, ['Ana', 'Ben', 'Cy']);
+  const [ana, ben, cy] = session.participants;
+  const deck = await startQuiz(server, session);
+  const submitRaw = (p, body) => server.request('POST', `/api/session/${session.id}/submit`, body, participantHeaders(p));
+
+  // Nothing voted and nothing sent
+  assert.equal((await submitRaw(ana, {})).status, 400);
+
+  // Answers that aren't votes on the deck are refused and nothing is stored
+  for (const answers of [{ x: null }, { [deck[0].id]: null }, { [deck[0].id]: { vote: 'meh' } }, { 999999999: { vote: 'love' } }, ['love']]) {
+    const res = await submitRaw(ana, { answers });
+    assert.equal(res.status, 400, JSON.stringify(answers));
+  }
+  const { body: lobby } = await server.request('GET', `/api/session/${session.id}`);
+  assert.equal(lobby.participants.find(p => p.id === ana.participantId).completed, 0);
+
+  // With no answers in the body, the autosaved votes are what count
+  await voteAll(server, session, ana, deck, ['love']);
+  assert.equal((await submitRaw(ana, {})).status, 200);
+  const saved = (await server.request('GET', `/api/session/${session.id}/answers`, undefined, participantHeaders(ana))).body;
+  assert.equal(Object.keys(saved.answers).length, deck.length);
+  assert.ok(Object.values(saved.answers).every(a => a.vote === 'love'));
+
+  // Valid answers sent along are merged in, with titles from the deck
+  await voteAll(server, session, ben, deck.slice(1), ['pass']);
+  assert.equal((await submitRaw(ben, { answers: { [deck[0].id]: { vote: 'like', title: 'Spoofed' } } })).status, 200);
+  const benSaved = (await server.request('GET', `/api/session/${session.id}/answers`, undefined, participantHeaders(ben))).body.answers;
+  assert.deepEqual(benSaved[deck[0].id], { movieId: deck[0].id, title: deck[0].title, vote: 'like' });
+  assert.equal(Object.keys(benSaved).length, deck.length);
+
+  // Submitting twice is refused
+  assert.equal((await submitRaw(ben, {})).status, 409);
+
+  await voteAll(server, session, cy, deck, ['havent_seen', 'like']);
+  assert.equal((await submitRaw(cy, {})).body.allCompleted, true);
+  assert.equal((await waitForStatus(server, session.id)).status, 'complete');
+});
+
+test('the host picks how watch tonight is ranked', async () => {
+  const session = await createSession(server, ['Ana', 'Ben']);
+  const settings = (body) => server.request('POST', `/api/session/${session.id}/settings`, body, hostHeaders(session.hostToken));
+
+  assert.equal((await settings({ scoring: 'loudest' })).status, 400);
+  const saved = await settings({ scoring: 'least_misery' });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.scoring, 'least_misery');
+
+  const deck = await startQuiz(server, session);
+  for (const p of session.participants) {
+    await voteAll(server, session, p, deck);
+    await submit(server, session, p);
+  }
+  const done = await waitForStatus(server, session.id);
+  assert.equal(JSON.parse(done.results).consensus.strategy, 'least_misery');
+});
+
+test('a crew\'s next session is ranked the way its last one was', async () => {
+  assert.equal((await server.request('POST', '/api/session', { hostName: 'Ana', scoring: 'loudest' })).status, 400);
+  const oneOff = await server.request('POST', '/api/session', { hostName: 'Ana', scoring: 'weighted' });
+  assert.equal((await server.request('GET', `/api/session/${oneOff.body.id}`)).body.scoring, 'weighted');
+
+  const { crew } = (await server.request('POST', '/api/crews', { name: 'Friday film club' })).body;
+  const first = (await server.request('POST', '/api/session', { hostName: 'Ana', crewId: crew.id })).body;
+  assert.equal((await server.request('GET', `/api/session/${first.id}`)).body.scoring, 'veto');
+  await server.request('POST', `/api/session/${first.id}/settings`, { scoring: 'most_pleasure' }, hostHeaders(first.hostToken));
+
+  const next = (await server.request('POST', '/api/session', { hostName: 'Ana', crewId: crew.id })).body;
+  assert.equal((await server.request('GET', `/api/session/${next.id}`)).body.scoring, 'most_pleasure');
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { tempDir, startServer } from './helpers.js';
+
+process.env.DB_PATH = path.join(tempDir(), 'providers.db');
+process.env.TMDB_API_KEY = 'test-key';
+
+const { default: db } = await import('../db.js');
+const { fetchWatchProviders } = await import('../tmdb.js');
+const { up: dropSampleProviders } = await import('../migrations/003_drop_sample_watch_providers.js');
+
+// Sample listings, recorded in the shape the cache stores ({ region: { movieId: providers } })
+const FIXTURE = JSON.parse(fs.readFileSync(new URL('./fixtures/watch-providers.json', import.meta.url), 'utf8'));
+const [FIXTURE_ID, FIXTURE_PROVIDERS] = Object.entries(FIXTURE.US)[0];
+
+function loadFixture(fetchedAt) {
+  const insert = db.prepare('INSERT OR REPLACE INTO watch_provider_cache (movie_id, region, providers, fetched_at) VALUES (?, ?, ?, ?)');
+  for (const [region, movies] of Object.entries(FIXTURE)) {
+    for (const [movieId, providers] of Object.entries(movies)) {
+      insert.run(Number(movieId), region, JSON.stringify({ link: null, stream: [], rent: [], buy: [], ...providers }), fetchedAt);
+    }
+  }
+}
+
+const realFetch = globalThis.fetch;
+let tmdbResponse;
+beforeEach(() => {
+  db.prepare('DELETE FROM watch_provider_cache').run();
+  tmdbResponse = null;
+  globalThis.fetch = async () => {
+    if (!tmdbResponse) throw new Error('TMDB unreachable');
+    return new Response(JSON.stringify(tmdbResponse));
+  };
+});
+afterEach(() => { globalThis.fetch = realFetch; });
+
+test('the server starts with no sample availability', async () => {
+  const server = await startServer();
+  try {
+    const serverDb = new Database(server.dbPath, { readonly: true });
+    assert.equal(serverDb.prepare('SELECT COUNT(*) AS n FROM watch_provider_cache').get().n, 0);
+    serverDb.close();
+  } finally {
+    server.stop();
+  }
+});
+
+test('stale cached providers are used when TMDB is unreachable', async () => {
+  loadFixture(1);
+  const providers = await fetchWatchProviders(Number(FIXTURE_ID), 'US');
+  assert.deepEqual(providers.stream.map(p => p.name), FIXTURE_PROVIDERS.stream.map(p => p.name));
+  assert.equal(await fetchWatchProviders(Number(FIXTURE_ID), 'GB'), null, 'nothing known for other regions');
+});
+
+test('TMDB answers are cached for every region they cover', async () => {
+  tmdbResponse = {
+    results: {
+      GB: { link: 'https://example.test/gb', flatrate: [{ provider_id: 8, provider_name: 'Netflix', logo_path: null }] },
+      DE: { rent: [{ provider_id: 2, provider_name: 'Apple TV', logo_path: null }] }
+    }
+  };
+  const gb = await fetchWatchProviders(Number(FIXTURE_ID), 'GB');
+  assert.deepEqual(gb.stream.map(p => p.name), ['Netflix']);
+
+  // Every region in the answer is served from the cache from now on
+  tmdbResponse = null;
+  assert.deepEqual((await fetchWatchProviders(Number(FIXTURE_ID), 'DE')).rent.map(p => p.name), ['Apple TV']);
+  const asked = await fetchWatchProviders(Number(FIXTURE_ID), 'FR');
+  assert.equal(asked, null, 'regions TMDB never covered are still unknown');
+});
+
+test('the migration drops listings seeded by earlier versions only', () => {
+  loadFixture(0);
+  db.prepare('INSERT INTO watch_provider_cache (movie_id, region, providers, fetched_at) VALUES (1, ?, ?, unixepoch())')
+    .run('US', JSON.stringify({ link: null, stream: [], rent: [], buy: [] }));
+
+  dropSampleProviders(db);
+  assert.deepEqual(db.prepare('SELECT movie_id FROM watch_provider_cache').all(), [{ movie_id: 1 }]);
+});
@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createSession, startQuiz, voteAll, submit, waitForStatus, participantHeaders, hostHeaders } from './helpers.js';
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+// Two people called Sam finish a session and mark the top pick as watched
+async function watchedSession() {
+  const session = await createSession(server, ['Sam', 'Sam']);
+  const deck = await startQuiz(server, session);
+  for (const p of session.participants) {
+    await voteAll(server, session, p, deck);
+    await submit(server, session, p);
+  }
+  await waitForStatus(server, session.id);
+  const marked = await server.request('POST', `/api/session/${session.id}/watched`, { rank: 1 }, hostHeaders(session.hostToken));
+  assert.equal(marked.status, 200);
+  return session;
+}
+
+test('participants with the same name each keep their own rating', async () => {
+  const session = await watchedSession();
+  const [first, second] = session.participants;
+  await server.request('POST', `/api/session/${session.id}/watched/rating`, { rating: 5 }, participantHeaders(first));
+  const { body } = await server.request('POST', `/api/session/${session.id}/watched/rating`, { rating: 2 }, participantHeaders(second));
+
+  assert.deepEqual(body.watched.ratings, { [first.participantId]: 5, [second.participantId]: 2 });
+  assert.equal(body.watched.averageRating, 3.5);
+  assert.equal(body.watched.outcome, 'okay');
+});
+
+test('the host rates by participant id', async () => {
+  const session = await watchedSession();
+  const [first, second] = session.participants;
+  const route = `/api/session/${session.id}/watched/ratings`;
+
+  const byName = await server.request('POST', route, { ratings: { Sam: 4 } }, hostHeaders(session.hostToken));
+  assert.equal(byName.status, 400);
+
+  const { body } = await server.request('POST', route,
+    { ratings: { [first.participantId]: 4, [second.participantId]: 5 } }, hostHeaders(session.hostToken));
+  assert.equal(body.watched.averageRating, 4.5);
+  assert.equal(body.watched.outcome, 'hit');
+});
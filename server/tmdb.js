@@ -0,0 +1,329 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p/w500';
+const TMDB_LOGO_BASE = 'https://image.tmdb.org/t/p/w92';
+const SEED_FILE = path.join(__dirname, 'data', 'movies-seed.json');
+
+// How long cached metadata is trusted before we try TMDB again (default 7 days)
+function cacheTtlSeconds() {
+  return (parseInt(process.env.MOVIE_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60;
+}
+
+// TMDB calls give up after this long (default 5 seconds), so a TMDB that
+// accepts connections but never answers falls back to the cache like one
+// that's down, instead of holding up every card in a quiz draw
+function tmdbFetch(url) {
+  const timeoutMs = parseInt(process.env.TMDB_TIMEOUT_MS) || 5000;
+  return fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+}
+
+// Where to watch changes more often than metadata (default 1 day)
+function watchProvidersTtlSeconds() {
+  return (parseInt(process.env.WATCH_PROVIDERS_TTL_HOURS) || 24) * 60 * 60;
+}
+
+function rowToMovie(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    year: row.year,
+    poster: row.poster,
+    overview: row.overview,
+    genres: JSON.parse(row.genres || '[]'),
+    rating: row.rating,
+    runtime: row.runtime,
+    certification: row.certification,
+    original_language: row.original_language
+  };
+}
+
+const upsertMovie = db.prepare(`
+  INSERT INTO movie_cache (id, title, year, poster, overview, genres, rating, runtime, certification, original_language, fetched_at)
+  VALUES (@id, @title, @year, @poster, @overview, @genres, @rating, @runtime, @certification, @original_language, @fetched_at)
+  ON CONFLICT(id) DO UPDATE SET
+    title = excluded.title, year = excluded.year, poster = excluded.poster,
+    overview = excluded.overview, genres = excluded.genres, rating = excluded.rating,
+    runtime = excluded.runtime, certification = excluded.certification,
+    original_language = excluded.original_language, fetched_at = excluded.fetched_at
+`);
+
+// Store movie metadata in the cache
+export function cacheMovie(movie, fetchedAt = Math.floor(Date.now() / 1000)) {
+  upsertMovie.run({
+    id: movie.id,
+    title: movie.title,
+    year: movie.year ?? null,
+    poster: movie.poster ?? null,
+    overview: movie.overview ?? null,
+    genres: JSON.stringify(movie.genres || []),
+    rating: movie.rating ?? null,
+    runtime: movie.runtime ?? null,
+    certification: movie.certification ?? null,
+    original_language: movie.original_language ?? null,
+    fetched_at: fetchedAt
+  });
+}
+
+// Read a movie from the cache, fresh or not
+export function getCachedMovie(tmdbId) {
+  const row = db.prepare('SELECT * FROM movie_cache WHERE id = ?').get(tmdbId);
+  if (!row) return null;
+  return { movie: rowToMovie(row), fresh: row.fetched_at + cacheTtlSeconds() > Date.now() / 1000 };
+}
+
+// Load bundled metadata for the curated movies so the quiz works offline.
+// Seed rows are marked stale so TMDB refreshes them when it's reachable.
+export function seedMovieCache(file = SEED_FILE) {
+  if (!fs.existsSync(file)) return 0;
+  const movies = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const insert = db.prepare(`INSERT OR IGNORE INTO movie_cache
+    (id, title, year, poster, overview, genres, rating, runtime, certification, original_language, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`);
+  // Rows cached before certification/language were tracked get them filled in
+  const backfill = db.prepare(`UPDATE movie_cache SET certification = COALESCE(certification, ?),
+    original_language = COALESCE(original_language, ?) WHERE id = ?`);
+  const seed = db.transaction(() => {
+    let added = 0;
+    for (const m of movies) {
+      const cert = m.certification ?? null;
+      const lang = m.original_language ?? null;
+      added += insert.run(m.id, m.title, m.year, m.poster, m.overview, JSON.stringify(m.genres || []), m.rating, m.runtime, cert, lang).changes;
+      backfill.run(cert, lang, m.id);
+    }
+    return added;
+  });
+  return seed();
+}
+
+// The US theatrical certification (G, PG, PG-13, ...) from TMDB release dates
+function usCertification(releaseDates) {
+  const us = releaseDates?.results?.find(r => r.iso_3166_1 === 'US');
+  return us?.release_dates?.map(d => d.certification).find(Boolean) || null;
+}
+
+// Fetch movie details straight from TMDB
+async function fetchFromTMDB(tmdbId) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) return null;
+  try {
+    const res = await tmdbFetch(`${TMDB_BASE_URL}/movie/${tmdbId}?api_key=${apiKey}&append_to_response=release_dates`);
+    if (!res.ok) {
+      console.error(`TMDB fetch failed for ${tmdbId}: ${res.status}`);
+      return null;
+    }
+    const data = await res.json();
+    return {
+      id: data.id,
+      title: data.title,
+      year: data.release_date?.split('-')[0],
+      poster: data.poster_path ? `${TMDB_IMAGE_BASE}${data.poster_path}` : null,
+      overview: data.overview,
+      genres: data.genres?.map(g => g.name) || [],
+      rating: data.vote_average,
+      runtime: data.runtime,
+      certification: usCertification(data.release_dates),
+      original_language: data.original_language || null
+    };
+  } catch (err) {
+    console.error('TMDB fetch error:', err.message);
+    return null;
+  }
+}
+
+// Get movie details, preferring a fresh cache entry, then TMDB, then a stale cache entry
+export async function fetchMovieDetails(tmdbId) {
+  const cached = getCachedMovie(tmdbId);
+  if (cached?.fresh) return cached.movie;
+
+  const movie = await fetchFromTMDB(tmdbId);
+  if (movie) {
+    cacheMovie(movie);
+    return movie;
+  }
+  return cached?.movie || null;
+}
+
+// Normalize a title for loose comparisons ("The Matrix" vs "matrix, the")
+export function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/^(the|a|an) /, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Look for a title among movies we already have metadata for
+function findCachedByTitle(title, year) {
+  const wanted = normalizeTitle(title);
+  const rows = db.prepare('SELECT * FROM movie_cache').all();
+  const matches = rows.filter(r => normalizeTitle(r.title) === wanted);
+  const match = matches.find(r => !year || r.year === String(year)) || (year ? null : matches[0]);
+  return match ? rowToMovie(match) : null;
+}
+
+// Search TMDB for a title, returning the best match's id or null
+async function searchTMDB(title, year) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) return undefined;
+  try {
+    const params = new URLSearchParams({ api_key: apiKey, query: title });
+    if (year) params.set('year', year);
+    const res = await tmdbFetch(`${TMDB_BASE_URL}/search/movie?${params}`);
+    if (!res.ok) {
+      console.error(`TMDB search failed for "${title}": ${res.status}`);
+      return undefined;
+    }
+    const data = await res.json();
+    const results = data.results || [];
+    const wanted = normalizeTitle(title);
+    const best = results.find(r => normalizeTitle(r.title) === wanted || normalizeTitle(r.original_title) === wanted) || results[0];
+    return best?.id ?? null;
+  } catch (err) {
+    console.error('TMDB search error:', err.message);
+    return undefined;
+  }
+}
+
+// Find a movie by title (and optional year), checking the cache before TMDB.
+// Misses are cached too so a hallucinated title isn't searched for again.
+export async function searchMovie(title, year) {
+  const query = `${normalizeTitle(title)}|${year || ''}`;
+  const cachedSearch = db.prepare('SELECT * FROM movie_search_cache WHERE query = ?').get(query);
+  if (cachedSearch && cachedSearch.fetched_at + cacheTtlSeconds() > Date.now() / 1000) {
+    return cachedSearch.movie_id ? fetchMovieDetails(cachedSearch.movie_id) : null;
+  }
+
+  const local = findCachedByTitle(title, year);
+  if (local) return local;
+
+  const movieId = await searchTMDB(title, year);
+  // undefined means TMDB couldn't be asked, so don't remember the miss
+  if (movieId === undefined) {
+    return cachedSearch?.movie_id ? fetchMovieDetails(cachedSearch.movie_id) : null;
+  }
+  db.prepare('INSERT OR REPLACE INTO movie_search_cache (query, movie_id, fetched_at) VALUES (?, ?, unixepoch())').run(query, movieId);
+  return movieId ? fetchMovieDetails(movieId) : null;
+}
+
+// Every movie we have metadata for (the offline stand-in for TMDB discover)
+export function listCachedMovies() {
+  return db.prepare('SELECT * FROM movie_cache').all().map(rowToMovie);
+}
+
+// One page of TMDB discover results for the given query params. Returns
+// undefined when TMDB can't be asked, like searchTMDB.
+export async function discoverTMDB(params) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) return undefined;
+  try {
+    const query = new URLSearchParams({ api_key: apiKey, ...params });
+    const res = await tmdbFetch(`${TMDB_BASE_URL}/discover/movie?${query}`);
+    if (!res.ok) {
+      console.error(`TMDB discover failed: ${res.status}`);
+      return undefined;
+    }
+    return await res.json();
+  } catch (err) {
+    console.error('TMDB discover error:', err.message);
+    return undefined;
+  }
+}
+
+// Look up a TMDB keyword id by name: the id, null when there's no such
+// keyword, or undefined when TMDB can't be asked
+export async function searchKeywordTMDB(keyword) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) return undefined;
+  try {
+    const params = new URLSearchParams({ api_key: apiKey, query: keyword });
+    const res = await tmdbFetch(`${TMDB_BASE_URL}/search/keyword?${params}`);
+    if (!res.ok) {
+      console.error(`TMDB keyword search failed for "${keyword}": ${res.status}`);
+      return undefined;
+    }
+    const data = await res.json();
+    const results = data.results || [];
+    const wanted = keyword.toLowerCase();
+    return (results.find(k => k.name.toLowerCase() === wanted) || results[0])?.id ?? null;
+  } catch (err) {
+    console.error('TMDB keyword search error:', err.message);
+    return undefined;
+  }
+}
+
+const NO_PROVIDERS = { link: null, stream: [], rent: [], buy: [] };
+
+const upsertProviders = db.prepare(`
+  INSERT INTO watch_provider_cache (movie_id, region, providers, fetched_at) VALUES (?, ?, ?, ?)
+  ON CONFLICT(movie_id, region) DO UPDATE SET providers = excluded.providers, fetched_at = excluded.fetched_at
+`);
+
+// TMDB's per-region provider entry, flattened into the lists we use.
+// Free and ad-supported services count as streaming.
+function toProviders(entry) {
+  const list = (items) => (items || []).map(p => ({
+    id: p.provider_id,
+    name: p.provider_name,
+    logo: p.logo_path ? `${TMDB_LOGO_BASE}${p.logo_path}` : null
+  }));
+  return {
+    link: entry?.link || null,
+    stream: list([...(entry?.flatrate || []), ...(entry?.free || []), ...(entry?.ads || [])]),
+    rent: list(entry?.rent),
+    buy: list(entry?.buy)
+  };
+}
+
+// Ask TMDB where a movie can be watched. The response covers every region, so
+// all of them are cached. Returns undefined when TMDB can't be asked.
+async function fetchProvidersFromTMDB(tmdbId) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) return undefined;
+  try {
+    const res = await tmdbFetch(`${TMDB_BASE_URL}/movie/${tmdbId}/watch/providers?api_key=${apiKey}`);
+    if (!res.ok) {
+      console.error(`TMDB watch providers failed for ${tmdbId}: ${res.status}`);
+      return undefined;
+    }
+    const data = await res.json();
+    return Object.fromEntries(Object.entries(data.results || {}).map(([region, entry]) => [region, toProviders(entry)]));
+  } catch (err) {
+    console.error('TMDB watch providers error:', err.message);
+    return undefined;
+  }
+}
+
+// Where a movie can be watched in a region: { link, stream, rent, buy }, each
+// list holding { id, name, logo }. Prefers a fresh cache entry, then TMDB,
+// then a stale cache entry; null if nothing is known.
+export async function fetchWatchProviders(tmdbId, region) {
+  const cached = db.prepare('SELECT * FROM watch_provider_cache WHERE movie_id = ? AND region = ?').get(tmdbId, region);
+  if (cached && cached.fetched_at + watchProvidersTtlSeconds() > Date.now() / 1000) {
+    return JSON.parse(cached.providers);
+  }
+
+  const byRegion = await fetchProvidersFromTMDB(tmdbId);
+  if (byRegion) {
+    const now = Math.floor(Date.now() / 1000);
+    db.transaction(() => {
+      for (const [r, providers] of Object.entries(byRegion)) {
+        upsertProviders.run(tmdbId, r, JSON.stringify(providers), now);
+      }
+      // Not listed means not available there, which is worth remembering too
+      if (!byRegion[region]) upsertProviders.run(tmdbId, region, JSON.stringify(NO_PROVIDERS), now);
+    })();
+    return byRegion[region] || NO_PROVIDERS;
+  }
+  return cached ? JSON.parse(cached.providers) : null;
+}